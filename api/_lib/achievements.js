@@ -0,0 +1,22 @@
+// IDs of the achievements defined in src/achievements.js - the only ones a
+// player profile accepts. Keep in sync when achievements are added.
+
+export const ACHIEVEMENT_IDS = [
+    'firstLanding',
+    'hopper',
+    'tireless',
+    'height50',
+    'height150',
+    'height300',
+    'closeCall',
+    'escapeArtist',
+    'zen',
+    'monk',
+    'regular',
+    'veteran'
+];
+
+export function isAchievementList(ids) {
+    return Array.isArray(ids) && ids.length <= ACHIEVEMENT_IDS.length &&
+        ids.every(id => ACHIEVEMENT_IDS.includes(id));
+}
@@ -0,0 +1,19 @@
+// Daily challenge: one tower per UTC day, the same for every player and always
+// on the same difficulty. Keep in sync with src/daily.js.
+
+export const DAILY_DIFFICULTY = 'hard';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// The challenge a run started at `now` belongs to, as YYYY-MM-DD
+export function dailyDate(now = Date.now()) {
+    return new Date(now).toISOString().substring(0, 10);
+}
+
+export function dailySeed(date) {
+    return `daily-${date}`;
+}
+
+export function isDailyDate(value) {
+    return typeof value === 'string' && DATE_PATTERN.test(value) && !Number.isNaN(Date.parse(value));
+}
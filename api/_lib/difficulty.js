@@ -0,0 +1,16 @@
+// Bounds of the difficulty presets in src/difficulty.js that the score check
+// relies on: the top of each scroll speed curve and the bottom of each
+// platform spacing curve. Keep them in sync when the presets change.
+
+export const DEFAULT_DIFFICULTY = 'normal';
+
+export const DIFFICULTY_LIMITS = {
+    easy: { maxScrollSpeed: 0.05, minPlatformSpacing: 1.6 },
+    normal: { maxScrollSpeed: 0.08, minPlatformSpacing: 1.8 },
+    hard: { maxScrollSpeed: 0.09, minPlatformSpacing: 2.0 },
+    insane: { maxScrollSpeed: 0.11, minPlatformSpacing: 2.4 }
+};
+
+export function isDifficulty(name) {
+    return typeof name === 'string' && Object.hasOwn(DIFFICULTY_LIMITS, name);
+}
@@ -0,0 +1,129 @@
+import { createHash, timingSafeEqual } from 'node:crypto';
+import { RUN_TOKEN_MAX_AGE } from './run-token.js';
+
+// Player profiles: an ID and a secret generated by the client, kept in its
+// localStorage. Only a hash of the secret is stored.
+
+const PLAYER_ID_PATTERN = /^[a-zA-Z0-9-]{8,64}$/;
+const MIN_SECRET_LENGTH = 32;
+const MAX_SECRET_LENGTH = 128;
+export const MAX_NAME_LENGTH = 15;
+const MAX_RECENT_RUNS = 10;
+const MAX_DAILY_ATTEMPT_DAYS = 30;
+
+export class PlayerError extends Error {
+    constructor(status, code, message) {
+        super(message);
+        this.name = 'PlayerError';
+        this.status = status;
+        this.code = code;
+    }
+}
+
+export function hashSecret(secret) {
+    return createHash('sha256').update(secret).digest('hex');
+}
+
+export function validateCredentials(id, secret) {
+    if (typeof id !== 'string' || !PLAYER_ID_PATTERN.test(id) ||
+        typeof secret !== 'string' || secret.length < MIN_SECRET_LENGTH || secret.length > MAX_SECRET_LENGTH) {
+        throw new PlayerError(400, 'INVALID_PLAYER', 'Invalid player ID or secret');
+    }
+}
+
+// Throws unless the player exists and the secret matches
+export function authenticate(player, secret) {
+    if (!player) {
+        throw new PlayerError(404, 'PLAYER_NOT_FOUND', 'Player is not registered');
+    }
+    const expected = Buffer.from(player.secretHash, 'hex');
+    const actual = Buffer.from(hashSecret(secret), 'hex');
+    if (!timingSafeEqual(expected, actual)) {
+        throw new PlayerError(403, 'PLAYER_AUTH_FAILED', 'Player secret does not match');
+    }
+}
+
+export function normalizeName(name) {
+    return typeof name === 'string' ? name.trim().substring(0, MAX_NAME_LENGTH) : '';
+}
+
+// Throws when another player already uses the name (case-insensitive)
+export function assertNameAvailable(players, id, name) {
+    const lowerName = name.toLowerCase();
+    const owner = Object.values(players).find(p => p.name.toLowerCase() === lowerName);
+    if (owner && owner.id !== id) {
+        throw new PlayerError(409, 'NAME_TAKEN', 'Name is already used by another player');
+    }
+}
+
+export function createPlayer(id, secret, name) {
+    return {
+        id,
+        name,
+        secretHash: hashSecret(secret),
+        createdAt: new Date().toISOString(),
+        bestScore: 0,
+        runs: 0,
+        totalHeight: 0,
+        lastPlayed: null,
+        recentRuns: [],
+        recordedRuns: {},
+        dailyAttempts: {},
+        achievements: {}
+    };
+}
+
+// Each run token counts once. Its run ID is remembered for as long as the
+// token stays valid, so older IDs are dropped.
+export function addRun(player, { score, height, run }) {
+    const now = Date.now();
+    if (player.recordedRuns?.[run.runId]) {
+        throw new PlayerError(409, 'RUN_ALREADY_RECORDED', 'This run has already been recorded');
+    }
+    const recordedRuns = Object.fromEntries(Object.entries(player.recordedRuns ?? {})
+        .filter(([, startedAt]) => now - startedAt <= RUN_TOKEN_MAX_AGE));
+    recordedRuns[run.runId] = run.startedAt;
+
+    const date = new Date(now).toISOString();
+    return {
+        ...player,
+        recordedRuns,
+        bestScore: Math.max(player.bestScore, score),
+        runs: player.runs + 1,
+        totalHeight: player.totalHeight + height,
+        lastPlayed: date,
+        recentRuns: [{ score, height, date }, ...player.recentRuns].slice(0, MAX_RECENT_RUNS)
+    };
+}
+
+// Daily challenge runs started, per date - only the most recent days are kept
+export function addDailyAttempt(player, date) {
+    const attempts = { ...player.dailyAttempts, [date]: (player.dailyAttempts?.[date] ?? 0) + 1 };
+    const kept = Object.keys(attempts).sort().slice(-MAX_DAILY_ATTEMPT_DAYS);
+    return { ...player, dailyAttempts: Object.fromEntries(kept.map(day => [day, attempts[day]])) };
+}
+
+// Unlocked achievements keep the date they were first reported
+export function addAchievements(player, ids) {
+    const achievements = { ...player.achievements };
+    const date = new Date().toISOString();
+    for (const id of ids) {
+        achievements[id] ??= date;
+    }
+    return { ...player, achievements };
+}
+
+// What anyone may see about a player
+export function toPublicProfile(player) {
+    return {
+        id: player.id,
+        name: player.name,
+        createdAt: player.createdAt,
+        bestScore: player.bestScore,
+        runs: player.runs,
+        averageHeight: player.runs > 0 ? Math.round(player.totalHeight / player.runs * 10) / 10 : 0,
+        lastPlayed: player.lastPlayed,
+        recentRuns: player.recentRuns,
+        achievements: player.achievements ?? {}
+    };
+}
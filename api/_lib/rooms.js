@@ -0,0 +1,257 @@
+import { randomBytes, randomInt } from 'node:crypto';
+import { acceptWebSocket } from './websocket.js';
+import { normalizeName } from './players.js';
+import { isDifficulty } from './difficulty.js';
+
+// Rooms for online races: players gather in a lobby under a short code, the
+// host starts the race on a shared seed, and every client relays its position
+// to the others. Whoever falls gets the worst place still free; the last
+// player climbing wins. Rooms live in memory only, so they need a long-running
+// Node server - the Vite dev/preview servers attach it (see vite.config.js).
+//
+// Messages are JSON objects with a `type`. Client -> server:
+//   create {name}, join {code, name}, start {seed, difficulty},
+//   position {tick, x, y, score}, fell {score}, leave
+// Server -> client:
+//   joined {id, room}, room {room}, start {seed, difficulty, delay},
+//   position {id, tick, x, y}, placed {id, place, score}, results {results},
+//   error {code, message}
+
+export const ROOMS_PATH = '/api/rooms';
+
+const MAX_ROOMS = 100;
+const MAX_PLAYERS = 8;
+const MIN_PLAYERS = 2;
+const MAX_SEED_LENGTH = 32;
+const START_DELAY_MS = 3000; // Countdown shown by every client before the race begins
+const CODE_LENGTH = 4;
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ'; // No I or O, easy to read out loud
+
+const rooms = new Map(); // Code -> room
+
+// Handle WebSocket upgrades on ROOMS_PATH; other upgrades (Vite's HMR socket)
+// are left to their own listeners
+export function attachRoomServer(httpServer) {
+    httpServer.on('upgrade', (req, socket) => {
+        if (new URL(req.url, 'http://localhost').pathname !== ROOMS_PATH) return;
+
+        const client = { id: randomBytes(6).toString('hex'), room: null, connection: null };
+        client.connection = acceptWebSocket(req, socket, {
+            onMessage: (text) => handleMessage(client, text),
+            onClose: () => leaveRoom(client)
+        });
+    });
+}
+
+function handleMessage(client, text) {
+    let message;
+    try {
+        message = JSON.parse(text);
+    } catch {
+        return sendError(client, 'INVALID_MESSAGE', 'Message is not valid JSON');
+    }
+
+    switch (message?.type) {
+        case 'create':
+            return createRoom(client, message);
+        case 'join':
+            return joinRoom(client, message);
+        case 'start':
+            return startRace(client, message);
+        case 'position':
+            return relayPosition(client, message);
+        case 'fell':
+            return playerFell(client, message.score);
+        case 'leave':
+            return leaveRoom(client);
+        default:
+            return sendError(client, 'INVALID_MESSAGE', 'Unknown message type');
+    }
+}
+
+function createRoom(client, { name }) {
+    const playerName = normalizeName(name);
+    if (!playerName) {
+        return sendError(client, 'INVALID_NAME', 'Name is required');
+    }
+    if (rooms.size >= MAX_ROOMS) {
+        return sendError(client, 'SERVER_FULL', 'No more rooms can be opened right now');
+    }
+
+    leaveRoom(client);
+    const room = {
+        code: generateCode(),
+        hostId: client.id,
+        state: 'lobby',
+        players: new Map(), // Client ID -> player
+        placements: []
+    };
+    rooms.set(room.code, room);
+    addPlayer(room, client, playerName);
+}
+
+function joinRoom(client, { code, name }) {
+    const playerName = normalizeName(name);
+    if (!playerName) {
+        return sendError(client, 'INVALID_NAME', 'Name is required');
+    }
+
+    const room = typeof code === 'string' ? rooms.get(code.trim().toUpperCase()) : null;
+    if (!room) {
+        return sendError(client, 'ROOM_NOT_FOUND', 'Room does not exist');
+    }
+    if (room === client.room) return;
+    if (room.state !== 'lobby') {
+        return sendError(client, 'ROOM_STARTED', 'The race in this room has already started');
+    }
+    if (room.players.size >= MAX_PLAYERS) {
+        return sendError(client, 'ROOM_FULL', 'Room is full');
+    }
+
+    leaveRoom(client);
+    addPlayer(room, client, playerName);
+}
+
+function addPlayer(room, client, name) {
+    room.players.set(client.id, { id: client.id, name, client, climbing: false, score: 0 });
+    client.room = room;
+    send(client, { type: 'joined', id: client.id, room: describeRoom(room) });
+    broadcast(room, { type: 'room', room: describeRoom(room) }, client.id);
+}
+
+function startRace(client, { seed, difficulty }) {
+    const room = client.room;
+    if (!room || room.hostId !== client.id) {
+        return sendError(client, 'NOT_HOST', 'Only the host can start the race');
+    }
+    if (room.state !== 'lobby') {
+        return sendError(client, 'ROOM_STARTED', 'The race has already started');
+    }
+    if (room.players.size < MIN_PLAYERS) {
+        return sendError(client, 'NOT_ENOUGH_PLAYERS', 'At least two players are needed');
+    }
+    if (typeof seed !== 'string' || !seed || seed.length > MAX_SEED_LENGTH) {
+        return sendError(client, 'INVALID_SEED', 'Invalid seed');
+    }
+    if (!isDifficulty(difficulty)) {
+        return sendError(client, 'INVALID_DIFFICULTY', 'Invalid difficulty');
+    }
+
+    room.state = 'racing';
+    room.placements = [];
+    room.players.forEach(player => {
+        player.climbing = true;
+        player.score = 0;
+    });
+    broadcast(room, { type: 'start', seed, difficulty, delay: START_DELAY_MS });
+    broadcast(room, { type: 'room', room: describeRoom(room) });
+}
+
+function relayPosition(client, { tick, x, y, score }) {
+    const player = client.room?.players.get(client.id);
+    if (!player?.climbing || !Number.isInteger(tick) || !Number.isFinite(x) || !Number.isFinite(y)) return;
+
+    if (Number.isFinite(score)) {
+        player.score = Math.max(0, Math.floor(score));
+    }
+    broadcast(client.room, { type: 'position', id: client.id, tick, x, y }, client.id);
+}
+
+function playerFell(client, score) {
+    const room = client.room;
+    const player = room?.players.get(client.id);
+    if (!player?.climbing) return;
+
+    if (Number.isFinite(score)) {
+        player.score = Math.max(0, Math.floor(score));
+    }
+    placePlayer(room, player);
+    finishIfDecided(room);
+    broadcast(room, { type: 'room', room: describeRoom(room) });
+}
+
+// The faller takes the worst place not yet given out
+function placePlayer(room, player) {
+    const climbing = [...room.players.values()].filter(p => p.climbing).length;
+    player.climbing = false;
+    const placement = { id: player.id, name: player.name, place: climbing, score: player.score };
+    room.placements.push(placement);
+    broadcast(room, { type: 'placed', id: placement.id, place: placement.place, score: placement.score });
+}
+
+// With one player left climbing they win; the room returns to the lobby for a rematch
+function finishIfDecided(room) {
+    if (room.state !== 'racing') return;
+
+    const climbing = [...room.players.values()].filter(p => p.climbing);
+    if (climbing.length > 1) return;
+    if (climbing.length === 1) {
+        placePlayer(room, climbing[0]);
+    }
+
+    room.state = 'lobby';
+    const results = [...room.placements].sort((a, b) => a.place - b.place);
+    broadcast(room, { type: 'results', results });
+}
+
+// Leaving mid-race counts as falling. The host role passes to the longest
+// waiting player and empty rooms are closed.
+function leaveRoom(client) {
+    const room = client.room;
+    if (!room) return;
+
+    const player = room.players.get(client.id);
+    if (player.climbing) {
+        placePlayer(room, player);
+    }
+    room.players.delete(client.id);
+    client.room = null;
+
+    if (room.players.size === 0) {
+        rooms.delete(room.code);
+        return;
+    }
+    if (room.hostId === client.id) {
+        room.hostId = room.players.keys().next().value;
+    }
+    finishIfDecided(room);
+    broadcast(room, { type: 'room', room: describeRoom(room) });
+}
+
+function describeRoom(room) {
+    return {
+        code: room.code,
+        hostId: room.hostId,
+        state: room.state,
+        maxPlayers: MAX_PLAYERS,
+        players: [...room.players.values()].map(({ id, name, climbing }) => ({ id, name, climbing }))
+    };
+}
+
+function generateCode() {
+    let code;
+    do {
+        code = '';
+        for (let i = 0; i < CODE_LENGTH; i++) {
+            code += CODE_ALPHABET[randomInt(CODE_ALPHABET.length)];
+        }
+    } while (rooms.has(code));
+    return code;
+}
+
+function send(client, message) {
+    client.connection?.send(JSON.stringify(message));
+}
+
+function sendError(client, code, message) {
+    send(client, { type: 'error', code, message });
+}
+
+function broadcast(room, message, exceptId = null) {
+    const text = JSON.stringify(message);
+    room.players.forEach(player => {
+        if (player.id !== exceptId) {
+            player.client.connection?.send(text);
+        }
+    });
+}
@@ -0,0 +1,42 @@
+import { DIFFICULTY_LIMITS } from './difficulty.js';
+import { RUN_TOKEN_MAX_AGE } from './run-token.js';
+
+// Upper bounds of what a run can reach in the time it lasted. Mirrors the
+// simulation in src/game.js - score is camera height * 10 and the camera can
+// never climb faster than the difficulty's top scroll speed per tick.
+
+const TICKS_PER_SECOND = 60;
+const CAMERA_START_Y = 5;
+// Coins sit above platforms, at most one per platform, generated up to 40 above the camera
+export const COIN_VALUE = 25;
+const PLATFORM_LOOKAHEAD = 40;
+const MAX_LAUNCH_HEIGHT = 15; // A bouncy platform followed by a double jump
+const ELAPSED_GRACE_MS = 2000; // Network latency between token issue and first tick
+
+// Most ticks that can have been played since the run token was issued. A run
+// lasts no longer than the token is valid, even when its score is posted later.
+export function elapsedTicks(run, now = Date.now()) {
+    const elapsed = Math.min(now - run.startedAt, RUN_TOKEN_MAX_AGE);
+    return Math.ceil((elapsed + ELAPSED_GRACE_MS) / 1000 * TICKS_PER_SECOND);
+}
+
+// Highest height score reachable after the given number of simulation ticks
+export function maxScoreForTicks(ticks, difficulty) {
+    const { maxScrollSpeed } = DIFFICULTY_LIMITS[difficulty];
+    return Math.floor((CAMERA_START_Y + ticks * maxScrollSpeed) * 10);
+}
+
+// Most coins that can have been generated after the given number of ticks
+export function maxCoinsForTicks(ticks, difficulty) {
+    const { minPlatformSpacing } = DIFFICULTY_LIMITS[difficulty];
+    return Math.ceil(highestPlatform(ticks, difficulty) / minPlatformSpacing);
+}
+
+// The player can get no higher than a launch off the highest generated platform
+export function maxHeightForTicks(ticks, difficulty) {
+    return highestPlatform(ticks, difficulty) + MAX_LAUNCH_HEIGHT;
+}
+
+function highestPlatform(ticks, difficulty) {
+    return CAMERA_START_Y + ticks * DIFFICULTY_LIMITS[difficulty].maxScrollSpeed + PLATFORM_LOOKAHEAD;
+}
@@ -0,0 +1,69 @@
+import { createHmac, randomUUID, timingSafeEqual } from 'node:crypto';
+
+// Signed run tokens: "<base64url payload>.<base64url HMAC-SHA256>".
+// The payload carries the server-side start time, so the score API can check
+// how long a run could possibly have lasted.
+
+const RUN_TOKEN_SECRET = process.env.RUN_TOKEN_SECRET;
+export const RUN_TOKEN_MAX_AGE = 6 * 60 * 60 * 1000; // 6 hours
+// Scores queued offline are posted later than the run ended; the run itself
+// still counts as lasting at most RUN_TOKEN_MAX_AGE (see api/_lib/run-limits.js)
+export const QUEUED_RUN_TOKEN_MAX_AGE = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+export class RunTokenError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = 'RunTokenError';
+        this.code = code;
+    }
+}
+
+function sign(data) {
+    if (!RUN_TOKEN_SECRET) {
+        throw new Error('RUN_TOKEN_SECRET is not configured');
+    }
+    return createHmac('sha256', RUN_TOKEN_SECRET).update(data).digest('base64url');
+}
+
+// `daily` is the date of the daily challenge the run counts for, if any. Daily
+// runs are counted as the player's attempts, so only that player may post them.
+export function issueRunToken({ seed, difficulty, daily = null, playerId = null }) {
+    const payload = {
+        runId: randomUUID(),
+        seed,
+        difficulty,
+        startedAt: Date.now()
+    };
+    if (daily) {
+        payload.daily = daily;
+        payload.playerId = playerId;
+    }
+    const data = Buffer.from(JSON.stringify(payload)).toString('base64url');
+    return { token: `${data}.${sign(data)}`, ...payload };
+}
+
+export function verifyRunToken(token, now = Date.now(), maxAge = RUN_TOKEN_MAX_AGE) {
+    if (typeof token !== 'string' || !token.includes('.')) {
+        throw new RunTokenError('RUN_TOKEN_MISSING', 'Run token is missing');
+    }
+
+    const [data, signature] = token.split('.');
+    const expected = Buffer.from(sign(data));
+    const actual = Buffer.from(signature || '');
+    if (actual.length !== expected.length || !timingSafeEqual(actual, expected)) {
+        throw new RunTokenError('RUN_TOKEN_INVALID', 'Run token signature is invalid');
+    }
+
+    let payload;
+    try {
+        payload = JSON.parse(Buffer.from(data, 'base64url').toString('utf8'));
+    } catch {
+        throw new RunTokenError('RUN_TOKEN_INVALID', 'Run token is malformed');
+    }
+
+    if (now - payload.startedAt > maxAge) {
+        throw new RunTokenError('RUN_TOKEN_EXPIRED', 'Run token has expired');
+    }
+
+    return payload;
+}
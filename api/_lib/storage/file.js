@@ -0,0 +1,80 @@
+import { appendFile, mkdir, readFile, writeFile } from 'node:fs/promises';
+import { dirname, join, resolve } from 'node:path';
+import { toSummary } from './summary.js';
+
+// Stores scores as JSON lines and players as one JSON object in local files -
+// for offline development. An empty file per run ID marks the runs that posted a score.
+
+const SCORES_FILE = resolve(process.env.SCORES_FILE || '.data/scores.jsonl');
+const PLAYERS_FILE = resolve(process.env.PLAYERS_FILE || '.data/players.json');
+const RUNS_DIR = join(dirname(SCORES_FILE), 'runs');
+
+async function readScores() {
+    let content;
+    try {
+        content = await readFile(SCORES_FILE, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return [];
+        }
+        throw error;
+    }
+
+    const scores = [];
+    for (const line of content.split('\n')) {
+        if (!line.trim()) continue;
+        try {
+            scores.push(JSON.parse(line));
+        } catch (e) {
+            console.error(`Skipping malformed line in ${SCORES_FILE}:`, e);
+        }
+    }
+    return scores;
+}
+
+export async function listScores() {
+    const scores = await readScores();
+    return scores.map(scoreData => toSummary(scoreData));
+}
+
+export async function getScore(id) {
+    const scores = await readScores();
+    return scores.find(s => String(s.id) === String(id)) || null;
+}
+
+export async function addScore(scoreData) {
+    // Creating the marker fails when the run already has one
+    await mkdir(RUNS_DIR, { recursive: true });
+    try {
+        await writeFile(join(RUNS_DIR, scoreData.runId), '', { flag: 'wx' });
+    } catch (error) {
+        if (error.code === 'EEXIST') {
+            return false;
+        }
+        throw error;
+    }
+
+    await appendFile(SCORES_FILE, JSON.stringify(scoreData) + '\n', 'utf8');
+    return true;
+}
+
+export async function getPlayers() {
+    try {
+        return Object.assign(Object.create(null), JSON.parse(await readFile(PLAYERS_FILE, 'utf8')));
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return Object.create(null);
+        }
+        throw error;
+    }
+}
+
+export async function updatePlayer(id, update) {
+    const players = await getPlayers();
+    const player = update(players[id], players);
+    players[id] = player;
+
+    await mkdir(dirname(PLAYERS_FILE), { recursive: true });
+    await writeFile(PLAYERS_FILE, JSON.stringify(players, null, 2), 'utf8');
+    return player;
+}
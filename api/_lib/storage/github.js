@@ -0,0 +1,210 @@
+import { toSummary } from './summary.js';
+
+// Stores every score as its own JSON file in the repo via the GitHub Contents API,
+// plus one aggregated index of score summaries that the leaderboard is read from.
+// Player profiles live together in a single JSON file keyed by player ID.
+
+const GITHUB_TOKEN = process.env.GITHUB_TOKEN;
+const REPO_OWNER = 'EmperorKunDis';
+const REPO_NAME = 'WebProChalengeISS2';
+const SCORES_PATH = 'scores';
+const INDEX_PATH = `${SCORES_PATH}/index.json`;
+const PLAYERS_PATH = 'players/index.json';
+const BRANCH = 'main';
+const MAX_INDEX_RETRIES = 3;
+
+function contentsUrl(path) {
+    return `https://api.github.com/repos/${REPO_OWNER}/${REPO_NAME}/contents/${path}`;
+}
+
+function githubHeaders(accept = 'application/vnd.github.v3+json') {
+    return {
+        'Authorization': `token ${GITHUB_TOKEN}`,
+        'Accept': accept
+    };
+}
+
+async function putFile(path, data, message, sha) {
+    return await fetch(contentsUrl(path), {
+        method: 'PUT',
+        headers: {
+            ...githubHeaders(),
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+            message,
+            content: Buffer.from(JSON.stringify(data)).toString('base64'),
+            branch: BRANCH,
+            ...(sha ? { sha } : {})
+        })
+    });
+}
+
+// Resolves to { data, sha }, with data null when the file doesn't exist yet
+async function readJsonFile(path) {
+    const response = await fetch(`${contentsUrl(path)}?ref=${BRANCH}`, {
+        headers: githubHeaders()
+    });
+
+    if (response.status === 404) {
+        return { data: null, sha: null };
+    }
+    if (!response.ok) {
+        throw new Error(`GitHub API error: ${response.status}`);
+    }
+
+    const file = await response.json();
+    let text;
+    if (file.encoding === 'base64' && file.content) {
+        text = Buffer.from(file.content, 'base64').toString('utf8');
+    } else {
+        // Files over 1 MB come without inline content
+        const rawResponse = await fetch(file.download_url);
+        text = await rawResponse.text();
+    }
+
+    return { data: JSON.parse(text), sha: file.sha };
+}
+
+async function readIndex() {
+    const { data, sha } = await readJsonFile(INDEX_PATH);
+    return { entries: data, sha };
+}
+
+// Builds the index from the individual score files - only needed once for
+// scores saved before the index existed
+async function rebuildIndex() {
+    const response = await fetch(`${contentsUrl(SCORES_PATH)}?ref=${BRANCH}`, {
+        headers: githubHeaders()
+    });
+
+    if (!response.ok) {
+        if (response.status === 404) {
+            return [];
+        }
+        throw new Error(`GitHub API error: ${response.status}`);
+    }
+
+    const files = await response.json();
+
+    if (!Array.isArray(files)) {
+        return [];
+    }
+
+    // Filter only score files
+    const jsonFiles = files.filter(f => f.name.endsWith('.json') && f.path !== INDEX_PATH);
+
+    // Fetch content of each file
+    const entries = [];
+    for (const file of jsonFiles) {
+        try {
+            const contentResponse = await fetch(file.download_url);
+            if (contentResponse.ok) {
+                const scoreData = await contentResponse.json();
+                entries.push(toSummary(scoreData, { file: file.path }));
+            }
+        } catch (e) {
+            console.error(`Error reading ${file.name}:`, e);
+        }
+    }
+
+    const writeResponse = await putFile(INDEX_PATH, entries, 'Build leaderboard index');
+    if (!writeResponse.ok) {
+        console.error('Could not write leaderboard index:', writeResponse.status);
+    }
+
+    return entries;
+}
+
+export async function listScores() {
+    const { entries } = await readIndex();
+    return entries ?? await rebuildIndex();
+}
+
+export async function getScore(id) {
+    const entries = await listScores();
+    const entry = entries.find(e => String(e.id) === String(id));
+    if (!entry) {
+        return null;
+    }
+
+    const response = await fetch(`${contentsUrl(entry.file)}?ref=${BRANCH}`, {
+        headers: githubHeaders('application/vnd.github.raw+json')
+    });
+    if (!response.ok) {
+        throw new Error(`GitHub API error: ${response.status}`);
+    }
+    return await response.json();
+}
+
+export async function addScore(scoreData) {
+    // Named by the run, so creating the file is refused when the run already posted a score
+    const filepath = `${SCORES_PATH}/run_${scoreData.runId}.json`;
+
+    // Create file via GitHub API
+    const response = await putFile(filepath, scoreData, `Add score: ${scoreData.name} - ${scoreData.score}`);
+
+    // GitHub answers 422 to creating a file that exists
+    if (response.status === 422) {
+        return false;
+    }
+    if (!response.ok) {
+        const errorData = await response.json();
+        console.error('GitHub API error:', errorData);
+        throw new Error(`GitHub API error: ${response.status}`);
+    }
+
+    // Append to the index, retrying when another save updated it in between
+    const summary = toSummary(scoreData, { file: filepath });
+    for (let attempt = 0; attempt < MAX_INDEX_RETRIES; attempt++) {
+        const { entries, sha } = await readIndex();
+        if (!entries) {
+            // The rebuild picks up the file written above
+            await rebuildIndex();
+            return true;
+        }
+
+        const indexResponse = await putFile(
+            INDEX_PATH,
+            [...entries, summary],
+            `Update leaderboard index: ${scoreData.name} - ${scoreData.score}`,
+            sha
+        );
+        if (indexResponse.ok) {
+            return true;
+        }
+        if (indexResponse.status !== 409 && indexResponse.status !== 422) {
+            throw new Error(`GitHub API error: ${indexResponse.status}`);
+        }
+    }
+
+    throw new Error('Could not update leaderboard index');
+}
+
+export async function getPlayers() {
+    const { data } = await readJsonFile(PLAYERS_PATH);
+    return Object.assign(Object.create(null), data);
+}
+
+export async function updatePlayer(id, update) {
+    for (let attempt = 0; attempt < MAX_INDEX_RETRIES; attempt++) {
+        const { data, sha } = await readJsonFile(PLAYERS_PATH);
+        const players = Object.assign(Object.create(null), data);
+        const player = update(players[id], players);
+
+        const response = await putFile(
+            PLAYERS_PATH,
+            { ...players, [id]: player },
+            `Update player: ${player.name}`,
+            sha
+        );
+        if (response.ok) {
+            return player;
+        }
+        if (response.status !== 409 && response.status !== 422) {
+            throw new Error(`GitHub API error: ${response.status}`);
+        }
+    }
+
+    throw new Error('Could not update player profiles');
+}
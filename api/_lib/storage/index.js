@@ -0,0 +1,28 @@
+import * as githubStorage from './github.js';
+import * as fileStorage from './file.js';
+
+export { toSummary } from './summary.js';
+
+// Score storage adapters. Each one exports:
+//   listScores() - resolves to summaries (see summary.js) of every stored score
+//   getScore(id) - resolves to one full score record including its replay and ghost, or null
+//   addScore(scoreData) - persists one new score record; resolves to false without
+//     storing it when a score for the same runId exists, checked in the same write
+//   getPlayers() - resolves to every player profile, keyed by player ID in an
+//     object without a prototype, so IDs like "constructor" find no inherited value
+//   updatePlayer(id, update) - stores update(current, players) as that player's
+//     profile and resolves to it; update may throw to abort
+// SCORES_STORAGE picks the adapter; production uses the GitHub one.
+const ADAPTERS = {
+    github: githubStorage,
+    file: fileStorage
+};
+
+export function getStorage() {
+    const name = process.env.SCORES_STORAGE || 'github';
+    const adapter = ADAPTERS[name];
+    if (!adapter) {
+        throw new Error(`Unknown SCORES_STORAGE "${name}" (expected one of: ${Object.keys(ADAPTERS).join(', ')})`);
+    }
+    return adapter;
+}
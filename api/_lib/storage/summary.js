@@ -0,0 +1,12 @@
+// Leaderboard listings carry score summaries - everything except the replay,
+// ghost track and run stats, which are only loaded when a single entry is requested
+export function toSummary(scoreData, extra = {}) {
+    const { replay, ghost, stats, ...summary } = scoreData;
+    return {
+        ...summary,
+        hasReplay: Boolean(replay),
+        hasGhost: Boolean(ghost),
+        hasStats: Boolean(stats),
+        ...extra
+    };
+}
@@ -0,0 +1,134 @@
+import { createHash } from 'node:crypto';
+
+// Minimal WebSocket (RFC 6455) server side for the room server - text
+// messages only, no extensions. Serverless functions cannot keep sockets
+// open, so this runs on a plain Node HTTP server (the Vite dev server locally).
+
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE_BYTES = 16 * 1024;
+
+const OPCODE_TEXT = 0x1;
+const OPCODE_CLOSE = 0x8;
+const OPCODE_PING = 0x9;
+const OPCODE_PONG = 0xa;
+
+// Completes the upgrade handshake and resolves incoming frames into
+// onMessage(text) calls. Returns null when the request is not a valid upgrade.
+export function acceptWebSocket(req, socket, { onMessage, onClose }) {
+    const key = req.headers['sec-websocket-key'];
+    if (req.headers.upgrade?.toLowerCase() !== 'websocket' || typeof key !== 'string') {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return null;
+    }
+
+    const accept = createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '',
+        ''
+    ].join('\r\n'));
+    socket.setNoDelay(true);
+
+    let buffer = Buffer.alloc(0);
+    let closed = false;
+
+    const connection = {
+        send(text) {
+            if (!closed) {
+                socket.write(encodeFrame(OPCODE_TEXT, Buffer.from(text)));
+            }
+        },
+        close() {
+            if (closed) return;
+            socket.end(encodeFrame(OPCODE_CLOSE, Buffer.alloc(0)));
+            finish();
+        }
+    };
+
+    function finish() {
+        if (closed) return;
+        closed = true;
+        onClose();
+    }
+
+    socket.on('data', (chunk) => {
+        buffer = Buffer.concat([buffer, chunk]);
+        let frame;
+        while ((frame = decodeFrame(buffer)) !== null) {
+            buffer = buffer.subarray(frame.length);
+            if (frame.error) {
+                connection.close();
+                return;
+            }
+            if (frame.opcode === OPCODE_TEXT) {
+                onMessage(frame.payload.toString('utf8'));
+            } else if (frame.opcode === OPCODE_PING) {
+                socket.write(encodeFrame(OPCODE_PONG, frame.payload));
+            } else if (frame.opcode === OPCODE_CLOSE) {
+                connection.close();
+                return;
+            }
+        }
+    });
+    socket.on('close', finish);
+    socket.on('error', finish);
+
+    return connection;
+}
+
+// Server frames are never masked and always fit in one frame
+function encodeFrame(opcode, payload) {
+    let header;
+    if (payload.length < 126) {
+        header = Buffer.from([0x80 | opcode, payload.length]);
+    } else if (payload.length < 0x10000) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    return Buffer.concat([header, payload]);
+}
+
+// Returns null until a whole frame has arrived. Client frames must be masked;
+// fragmented and oversized messages are refused.
+function decodeFrame(buffer) {
+    if (buffer.length < 2) return null;
+
+    const fin = (buffer[0] & 0x80) !== 0;
+    const opcode = buffer[0] & 0x0f;
+    const masked = (buffer[1] & 0x80) !== 0;
+    let length = buffer[1] & 0x7f;
+    let offset = 2;
+
+    if (length === 126) {
+        if (buffer.length < 4) return null;
+        length = buffer.readUInt16BE(2);
+        offset = 4;
+    } else if (length === 127) {
+        if (buffer.length < 10) return null;
+        const longLength = buffer.readBigUInt64BE(2);
+        length = longLength > BigInt(MAX_MESSAGE_BYTES) ? Infinity : Number(longLength);
+        offset = 10;
+    }
+
+    if (!fin || !masked || length > MAX_MESSAGE_BYTES) {
+        return { error: true, length: buffer.length };
+    }
+    if (buffer.length < offset + 4 + length) return null;
+
+    const mask = buffer.subarray(offset, offset + 4);
+    const payload = Buffer.from(buffer.subarray(offset + 4, offset + 4 + length));
+    for (let i = 0; i < payload.length; i++) {
+        payload[i] ^= mask[i % 4];
+    }
+    return { opcode, payload, length: offset + 4 + length };
+}
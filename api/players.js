@@ -0,0 +1,140 @@
+import { getStorage } from './_lib/storage/index.js';
+import {
+    PlayerError,
+    validateCredentials,
+    authenticate,
+    normalizeName,
+    assertNameAvailable,
+    createPlayer,
+    addRun,
+    addAchievements,
+    toPublicProfile
+} from './_lib/players.js';
+import { isAchievementList } from './_lib/achievements.js';
+import { verifyRunToken, RunTokenError } from './_lib/run-token.js';
+import { COIN_VALUE, elapsedTicks, maxScoreForTicks, maxCoinsForTicks, maxHeightForTicks } from './_lib/run-limits.js';
+import { DEFAULT_DIFFICULTY } from './_lib/difficulty.js';
+
+// GET   /api/players?id=...               - public profile and stats
+// POST  /api/players { id, secret, name } - register a player or change its name
+// PATCH /api/players { id, secret, runToken, score, height } - record a finished run
+// PATCH /api/players { id, secret, achievements } - add unlocked achievement IDs
+export default async function handler(req, res) {
+    // CORS headers
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PATCH, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    try {
+        if (req.method === 'GET') {
+            return await getPlayer(req, res);
+        }
+
+        if (req.method === 'POST') {
+            return await registerPlayer(req, res);
+        }
+
+        if (req.method === 'PATCH') {
+            if (req.body?.achievements !== undefined) {
+                return await recordAchievements(req, res);
+            }
+            return await recordRun(req, res);
+        }
+
+        return res.status(405).json({ error: 'Method not allowed' });
+    } catch (error) {
+        if (error instanceof PlayerError) {
+            return res.status(error.status).json({ error: error.message, code: error.code });
+        }
+        console.error('Error handling player request:', error);
+        return res.status(500).json({ error: 'Player request failed' });
+    }
+}
+
+async function getPlayer(req, res) {
+    const players = await getStorage().getPlayers();
+    const player = players[req.query?.id];
+    if (!player) {
+        return res.status(404).json({ error: 'Player not found', code: 'PLAYER_NOT_FOUND' });
+    }
+    return res.status(200).json({ player: toPublicProfile(player) });
+}
+
+async function registerPlayer(req, res) {
+    const { id, secret } = req.body || {};
+    const name = normalizeName(req.body?.name);
+
+    validateCredentials(id, secret);
+    if (!name) {
+        return res.status(400).json({ error: 'Invalid name', code: 'INVALID_NAME' });
+    }
+
+    const player = await getStorage().updatePlayer(id, (current, players) => {
+        assertNameAvailable(players, id, name);
+        if (!current) {
+            return createPlayer(id, secret, name);
+        }
+        authenticate(current, secret);
+        return { ...current, name };
+    });
+
+    return res.status(200).json({ player: toPublicProfile(player) });
+}
+
+// Stats only count runs started through /api/runs, bounded like scores are
+async function recordRun(req, res) {
+    const { id, secret, runToken, score, height } = req.body || {};
+
+    validateCredentials(id, secret);
+    if (!Number.isInteger(score) || score < 0 || !Number.isFinite(height) || height < 0) {
+        return res.status(400).json({ error: 'Invalid run', code: 'INVALID_RUN' });
+    }
+
+    let run;
+    try {
+        run = verifyRunToken(runToken);
+    } catch (error) {
+        if (error instanceof RunTokenError) {
+            return res.status(401).json({ error: error.message, code: error.code });
+        }
+        throw error;
+    }
+
+    if (run.daily && run.playerId !== id) {
+        return res.status(403).json({ error: 'The run was started by another player', code: 'RUN_PLAYER_MISMATCH' });
+    }
+
+    const difficulty = run.difficulty || DEFAULT_DIFFICULTY;
+    const ticks = elapsedTicks(run);
+    if (score > maxScoreForTicks(ticks, difficulty) + maxCoinsForTicks(ticks, difficulty) * COIN_VALUE ||
+        height > maxHeightForTicks(ticks, difficulty)) {
+        return res.status(422).json({ error: 'Run is not possible in the time played', code: 'SCORE_IMPOSSIBLE' });
+    }
+
+    const player = await getStorage().updatePlayer(id, (current) => {
+        authenticate(current, secret);
+        return addRun(current, { score, height: Math.round(height * 10) / 10, run });
+    });
+
+    return res.status(200).json({ player: toPublicProfile(player) });
+}
+
+async function recordAchievements(req, res) {
+    const { id, secret, achievements } = req.body;
+
+    validateCredentials(id, secret);
+    if (!isAchievementList(achievements)) {
+        return res.status(400).json({ error: 'Invalid achievements', code: 'INVALID_ACHIEVEMENTS' });
+    }
+
+    const player = await getStorage().updatePlayer(id, (current) => {
+        authenticate(current, secret);
+        return addAchievements(current, achievements);
+    });
+
+    return res.status(200).json({ player: toPublicProfile(player) });
+}
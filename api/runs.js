@@ -0,0 +1,67 @@
+import { issueRunToken } from './_lib/run-token.js';
+import { DEFAULT_DIFFICULTY, isDifficulty } from './_lib/difficulty.js';
+import { DAILY_DIFFICULTY, dailyDate, dailySeed } from './_lib/daily.js';
+import { getStorage } from './_lib/storage/index.js';
+import { PlayerError, validateCredentials, authenticate, addDailyAttempt } from './_lib/players.js';
+
+const MAX_SEED_LENGTH = 32;
+
+// POST /api/runs - start a run and receive the signed token needed to submit its score.
+// Daily challenge runs send { daily: date, playerId, playerSecret } too and
+// count as one of the player's attempts for that day.
+export default async function handler(req, res) {
+    // CORS headers
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    if (req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    try {
+        const { seed, difficulty = DEFAULT_DIFFICULTY, daily } = req.body || {};
+
+        if (typeof seed !== 'string' || !seed || seed.length > MAX_SEED_LENGTH) {
+            return res.status(400).json({ error: 'Invalid seed', code: 'INVALID_SEED' });
+        }
+
+        if (!isDifficulty(difficulty)) {
+            return res.status(400).json({ error: 'Invalid difficulty', code: 'INVALID_DIFFICULTY' });
+        }
+
+        if (daily !== undefined && daily !== null) {
+            return await startDailyRun(req, res, { seed, difficulty, daily });
+        }
+
+        const run = issueRunToken({ seed, difficulty });
+        return res.status(200).json(run);
+    } catch (error) {
+        if (error instanceof PlayerError) {
+            return res.status(error.status).json({ error: error.message, code: error.code });
+        }
+        console.error('Error starting run:', error);
+        return res.status(500).json({ error: 'Failed to start run' });
+    }
+}
+
+// Only today's challenge can be started, on its own tower and difficulty
+async function startDailyRun(req, res, { seed, difficulty, daily }) {
+    if (daily !== dailyDate() || seed !== dailySeed(daily) || difficulty !== DAILY_DIFFICULTY) {
+        return res.status(422).json({ error: 'Not today\'s daily challenge', code: 'INVALID_DAILY' });
+    }
+
+    const { playerId, playerSecret } = req.body;
+    validateCredentials(playerId, playerSecret);
+    const player = await getStorage().updatePlayer(playerId, (current) => {
+        authenticate(current, playerSecret);
+        return addDailyAttempt(current, daily);
+    });
+
+    const run = issueRunToken({ seed, difficulty, daily, playerId });
+    return res.status(200).json({ ...run, attempts: player.dailyAttempts[daily] });
+}
@@ -1,14 +1,43 @@
-const GITHUB_TOKEN = process.env.GITHUB_TOKEN;
-const REPO_OWNER = 'EmperorKunDis';
-const REPO_NAME = 'WebProChalengeISS2';
-const SCORES_PATH = 'scores';
-const BRANCH = 'main';
+import { createHash } from 'node:crypto';
+import { verifyRunToken, RunTokenError, QUEUED_RUN_TOKEN_MAX_AGE } from './_lib/run-token.js';
+import { getStorage, toSummary } from './_lib/storage/index.js';
+import { PlayerError, validateCredentials, authenticate } from './_lib/players.js';
+import { DEFAULT_DIFFICULTY, DIFFICULTY_LIMITS, isDifficulty } from './_lib/difficulty.js';
+import { dailyDate, isDailyDate } from './_lib/daily.js';
+import { COIN_VALUE, elapsedTicks, maxScoreForTicks, maxCoinsForTicks } from './_lib/run-limits.js';
+
+const MAX_SEED_LENGTH = 32;
+const REPLAY_VERSION = 5;
+const MAX_REPLAY_RUNS = 20000;
+const REPLAY_INPUT_MASK = 0b111; // Left, right and jump bits, mirrors src/replay.js
+
+// Ghost tracks, mirrors src/ghost.js - base64 varints, at most a few bytes per tick
+const GHOST_VERSION = 1;
+const MAX_GHOST_TICKS = 60 * 60 * 60;
+const MAX_GHOST_BYTES_PER_TICK = 6;
+
+// Run statistics, mirrors src/runStats.js
+const MAX_HEIGHT_SAMPLES = 240;
+const STATS_COUNTS = ['ticks', 'jumps', 'landings', 'longestAirtime'];
+const STATS_MEASURES = ['highestPoint', 'averageClearance', 'peakScrollSpeed'];
+
+// Leaderboard paging and time windows
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 50;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TIME_WINDOWS = ['today', 'week', 'all'];
+
+// Score summaries shared by all requests served by this instance. Saves made
+// here update it directly; the TTL picks up saves made by other instances.
+const LEADERBOARD_CACHE_TTL = 30 * 1000;
+let leaderboardCache = null;
 
 export default async function handler(req, res) {
     // CORS headers
     res.setHeader('Access-Control-Allow-Origin', '*');
     res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, If-None-Match');
+    res.setHeader('Access-Control-Expose-Headers', 'ETag');
 
     if (req.method === 'OPTIONS') {
         return res.status(200).end();
@@ -27,102 +56,261 @@ export default async function handler(req, res) {
 
 async function getScores(req, res) {
     try {
-        // Get list of files in scores directory
-        const response = await fetch(
-            `https://api.github.com/repos/${REPO_OWNER}/${REPO_NAME}/contents/${SCORES_PATH}?ref=${BRANCH}`,
-            {
-                headers: {
-                    'Authorization': `token ${GITHUB_TOKEN}`,
-                    'Accept': 'application/vnd.github.v3+json'
-                }
+        // Single entry including its replay, e.g. ?id=1767787647938
+        if (req.query?.id) {
+            const entry = await getStorage().getScore(req.query.id);
+            if (!entry) {
+                return res.status(404).json({ error: 'Score not found' });
             }
-        );
+            return res.status(200).json({ score: entry });
+        }
 
-        if (!response.ok) {
-            if (response.status === 404) {
-                return res.status(200).json({ scores: [] });
+        const scores = await loadLeaderboardIndex();
+
+        const query = req.query || {};
+        const limit = parseIntParam(query.limit, DEFAULT_LIMIT);
+        const offset = parseIntParam(query.offset, 0);
+        if (limit === null || limit < 1 || limit > MAX_LIMIT || offset === null || offset < 0) {
+            return res.status(400).json({ error: 'Invalid limit or offset', code: 'INVALID_PAGE' });
+        }
+
+        // Daily challenge boards, e.g. ?daily=2026-01-31, and ?daily=winners for past days
+        if (query.daily === 'winners') {
+            return getDailyWinners(req, res, scores, { limit, offset });
+        }
+        if (query.daily !== undefined) {
+            if (!isDailyDate(query.daily)) {
+                return res.status(400).json({ error: 'Invalid daily challenge date', code: 'INVALID_DAILY' });
             }
-            throw new Error(`GitHub API error: ${response.status}`);
+            return await getDailyBoard(req, res, scores, { date: query.daily, limit, offset });
         }
 
-        const files = await response.json();
+        const timeWindow = query.window || 'all';
+        const seed = typeof query.seed === 'string' ? query.seed : '';
+        const search = typeof query.name === 'string' ? query.name.trim().toLowerCase() : '';
+        const playerId = typeof query.player === 'string' ? query.player : '';
+        const difficulty = query.difficulty || DEFAULT_DIFFICULTY;
 
-        if (!Array.isArray(files)) {
-            return res.status(200).json({ scores: [] });
+        if (!TIME_WINDOWS.includes(timeWindow)) {
+            return res.status(400).json({ error: 'Invalid time window', code: 'INVALID_WINDOW' });
+        }
+        if (!isDifficulty(difficulty)) {
+            return res.status(400).json({ error: 'Invalid difficulty', code: 'INVALID_DIFFICULTY' });
         }
 
-        // Filter only JSON files
-        const jsonFiles = files.filter(f => f.name.endsWith('.json'));
+        // The board for the requested difficulty and window, optionally on the same tower layout.
+        // Scores saved before difficulties existed were all played on normal; daily
+        // challenge runs only count on their own board.
+        const since = windowStart(timeWindow, Date.now());
+        const board = scores
+            .filter(s => !s.daily)
+            .filter(s => (s.difficulty || DEFAULT_DIFFICULTY) === difficulty)
+            .filter(s => new Date(s.date).getTime() >= since)
+            .filter(s => !seed || s.seed === seed)
+            .sort((a, b) => b.score - a.score);
 
-        // Fetch content of each file
-        const scores = [];
-        for (const file of jsonFiles) {
-            try {
-                const contentResponse = await fetch(file.download_url);
-                if (contentResponse.ok) {
-                    const scoreData = await contentResponse.json();
-                    scores.push(scoreData);
-                }
-            } catch (e) {
-                console.error(`Error reading ${file.name}:`, e);
-            }
-        }
+        // Rank of the requesting player's best entry on that board
+        const playerIndex = playerId ? board.findIndex(s => s.playerId === playerId) : -1;
+
+        // Keep board positions when searching by name, so ranks stay meaningful
+        const ranked = board
+            .map((entry, index) => ({ entry, rank: index + 1 }))
+            .filter(({ entry }) => !search || entry.name.toLowerCase().includes(search));
 
-        // Sort by score descending and return top 10
-        scores.sort((a, b) => b.score - a.score);
-        const top10 = scores.slice(0, 10);
+        const page = ranked.slice(offset, offset + limit).map(({ entry: { file, ...entry }, rank }) => ({
+            ...entry,
+            rank
+        }));
 
-        return res.status(200).json({ scores: top10 });
+        return sendWithEtag(req, res, {
+            scores: page,
+            total: ranked.length,
+            playerRank: playerIndex === -1 ? null : playerIndex + 1
+        });
     } catch (error) {
         console.error('Error fetching scores:', error);
         return res.status(500).json({ error: 'Failed to fetch scores' });
     }
 }
 
+// One entry per player - their best run on that day's tower - with the number
+// of attempts they made. playerAttempts answers for ?player= even without a score,
+// playerScore is their best of the day wherever it ranks.
+async function getDailyBoard(req, res, scores, { date, limit, offset }) {
+    const board = bestPerPlayer(scores.filter(s => s.daily === date))
+        .sort((a, b) => b.score - a.score);
+
+    const players = await getStorage().getPlayers();
+    const attemptsOf = (playerId) => players[playerId]?.dailyAttempts?.[date] ?? null;
+    const playerId = typeof req.query.player === 'string' ? req.query.player : '';
+    const playerIndex = playerId ? board.findIndex(s => s.playerId === playerId) : -1;
+
+    const page = board.slice(offset, offset + limit).map(({ file, ...entry }, index) => ({
+        ...entry,
+        rank: offset + index + 1,
+        attempts: attemptsOf(entry.playerId)
+    }));
+
+    return sendWithEtag(req, res, {
+        date,
+        scores: page,
+        total: board.length,
+        playerRank: playerIndex === -1 ? null : playerIndex + 1,
+        playerScore: playerIndex === -1 ? null : board[playerIndex].score,
+        playerAttempts: playerId ? attemptsOf(playerId) ?? 0 : null
+    });
+}
+
+// Best run of every finished day, newest day first
+function getDailyWinners(req, res, scores, { limit, offset }) {
+    const today = dailyDate();
+    const winners = new Map(); // Date -> best entry
+    for (const entry of scores) {
+        if (!entry.daily || entry.daily >= today) continue;
+        const best = winners.get(entry.daily);
+        if (!best || entry.score > best.score) {
+            winners.set(entry.daily, entry);
+        }
+    }
+
+    const list = [...winners.values()].sort((a, b) => b.daily.localeCompare(a.daily));
+    const page = list.slice(offset, offset + limit).map(({ file, ...entry }) => entry);
+    return sendWithEtag(req, res, { winners: page, total: list.length });
+}
+
+function bestPerPlayer(scores) {
+    const best = new Map(); // Player ID -> entry
+    for (const entry of scores) {
+        const current = best.get(entry.playerId);
+        if (!current || entry.score > current.score) {
+            best.set(entry.playerId, entry);
+        }
+    }
+    return [...best.values()];
+}
+
+async function loadLeaderboardIndex() {
+    if (leaderboardCache && Date.now() - leaderboardCache.loadedAt < LEADERBOARD_CACHE_TTL) {
+        return leaderboardCache.scores;
+    }
+
+    const scores = await getStorage().listScores();
+    leaderboardCache = { scores, loadedAt: Date.now() };
+    return scores;
+}
+
+// Lets clients revalidate with If-None-Match and get an empty 304 when nothing changed
+function sendWithEtag(req, res, data) {
+    const etag = `"${createHash('sha1').update(JSON.stringify(data)).digest('base64url')}"`;
+    res.setHeader('ETag', etag);
+    res.setHeader('Cache-Control', 'no-cache');
+
+    if (req.headers['if-none-match'] === etag) {
+        return res.status(304).end();
+    }
+    return res.status(200).json(data);
+}
+
 async function saveScore(req, res) {
     try {
-        const { name, score } = req.body;
+        const body = req.body || {};
+        const { playerId, playerSecret, score, seed, replay, ghost, stats, runToken } = body;
+        const coins = body.coins ?? 0;
+        const difficulty = body.difficulty ?? DEFAULT_DIFFICULTY;
 
-        if (!name || typeof score !== 'number') {
-            return res.status(400).json({ error: 'Invalid data' });
+        if (!Number.isInteger(score) || score < 0 || !Number.isInteger(coins) || coins < 0) {
+            return res.status(400).json({ error: 'Invalid data', code: 'INVALID_DATA' });
         }
 
-        // Create unique filename with timestamp
-        const timestamp = Date.now();
-        const filename = `score_${timestamp}_${Math.random().toString(36).substr(2, 9)}.json`;
-        const filepath = `${SCORES_PATH}/${filename}`;
+        if (typeof seed !== 'string' || !seed || seed.length > MAX_SEED_LENGTH) {
+            return res.status(400).json({ error: 'Invalid seed', code: 'INVALID_SEED' });
+        }
 
+        if (!isDifficulty(difficulty)) {
+            return res.status(400).json({ error: 'Invalid difficulty', code: 'INVALID_DIFFICULTY' });
+        }
+
+        if (replay !== undefined && replay !== null && !isValidReplay(replay, seed, difficulty)) {
+            return res.status(400).json({ error: 'Invalid replay', code: 'INVALID_REPLAY' });
+        }
+
+        if (ghost !== undefined && ghost !== null && !isValidGhost(ghost)) {
+            return res.status(400).json({ error: 'Invalid ghost', code: 'INVALID_GHOST' });
+        }
+
+        if (stats !== undefined && stats !== null && !isValidStats(stats, difficulty)) {
+            return res.status(400).json({ error: 'Invalid stats', code: 'INVALID_STATS' });
+        }
+
+        // Scores are posted under the player's registered profile name
+        let player;
+        try {
+            validateCredentials(playerId, playerSecret);
+            player = (await getStorage().getPlayers())[playerId];
+            authenticate(player, playerSecret);
+        } catch (error) {
+            if (error instanceof PlayerError) {
+                return res.status(error.status).json({ error: error.message, code: error.code });
+            }
+            throw error;
+        }
+
+        let run;
+        try {
+            run = verifyRunToken(runToken, Date.now(), QUEUED_RUN_TOKEN_MAX_AGE);
+        } catch (error) {
+            if (error instanceof RunTokenError) {
+                return res.status(401).json({ error: error.message, code: error.code });
+            }
+            throw error;
+        }
+
+        if (run.seed !== seed) {
+            return res.status(422).json({ error: 'Seed does not match the run', code: 'SEED_MISMATCH' });
+        }
+        if ((run.difficulty || DEFAULT_DIFFICULTY) !== difficulty) {
+            return res.status(422).json({ error: 'Difficulty does not match the run', code: 'DIFFICULTY_MISMATCH' });
+        }
+        if (run.daily && run.playerId !== player.id) {
+            return res.status(403).json({ error: 'The run was started by another player', code: 'RUN_PLAYER_MISMATCH' });
+        }
+        const maxTicks = elapsedTicks(run);
+        const playedTicks = replay ? replay.inputs.reduce((sum, n, i) => (i % 2 ? sum + n : sum), 0) : maxTicks;
+        if (playedTicks > maxTicks || coins > maxCoinsForTicks(playedTicks, difficulty) ||
+            score > maxScoreForTicks(playedTicks, difficulty) + coins * COIN_VALUE) {
+            return res.status(422).json({ error: 'Score is not possible in the time played', code: 'SCORE_IMPOSSIBLE' });
+        }
+        // One position per played tick
+        if (ghost && ghost.ticks > playedTicks) {
+            return res.status(400).json({ error: 'Invalid ghost', code: 'INVALID_GHOST' });
+        }
+        if (stats && stats.ticks > playedTicks) {
+            return res.status(400).json({ error: 'Invalid stats', code: 'INVALID_STATS' });
+        }
+
+        const timestamp = Date.now();
         const scoreData = {
-            name: name.substring(0, 15),
+            name: player.name,
+            playerId: player.id,
             score: score,
+            coins: coins,
+            seed: seed,
+            difficulty: difficulty,
+            replay: replay || null,
+            ghost: ghost || null,
+            stats: stats || null,
+            runId: run.runId,
+            daily: run.daily || null,
             date: new Date().toISOString(),
             id: timestamp
         };
 
-        // Create file via GitHub API
-        const content = Buffer.from(JSON.stringify(scoreData, null, 2)).toString('base64');
-
-        const response = await fetch(
-            `https://api.github.com/repos/${REPO_OWNER}/${REPO_NAME}/contents/${filepath}`,
-            {
-                method: 'PUT',
-                headers: {
-                    'Authorization': `token ${GITHUB_TOKEN}`,
-                    'Accept': 'application/vnd.github.v3+json',
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    message: `Add score: ${name} - ${score}`,
-                    content: content,
-                    branch: BRANCH
-                })
-            }
-        );
-
-        if (!response.ok) {
-            const errorData = await response.json();
-            console.error('GitHub API error:', errorData);
-            throw new Error(`GitHub API error: ${response.status}`);
+        // Every run token posts one score
+        if (!await getStorage().addScore(scoreData)) {
+            return res.status(409).json({ error: 'A score was already saved for this run', code: 'RUN_TOKEN_USED' });
+        }
+        if (leaderboardCache) {
+            leaderboardCache.scores.push(toSummary(scoreData));
         }
 
         return res.status(200).json({ success: true, score: scoreData });
@@ -131,3 +319,68 @@ async function saveScore(req, res) {
         return res.status(500).json({ error: 'Failed to save score' });
     }
 }
+
+// Replay inputs are run-length encoded pairs of [input bitmask, tick count],
+// checked the same way parseReplay() in src/replay.js does when loading one
+function isValidReplay(replay, seed, difficulty) {
+    if (typeof replay !== 'object' || replay.version !== REPLAY_VERSION || replay.seed !== seed ||
+        replay.difficulty !== difficulty) {
+        return false;
+    }
+    const { inputs } = replay;
+    if (!Array.isArray(inputs) || inputs.length % 2 !== 0 || inputs.length > MAX_REPLAY_RUNS * 2) {
+        return false;
+    }
+    return inputs.every((n, i) => Number.isInteger(n) &&
+        (i % 2 === 0 ? n >= 0 && (n & ~REPLAY_INPUT_MASK) === 0 : n >= 1));
+}
+
+// The track itself is only decoded by clients; bound its size by the tick count
+function isValidGhost(ghost) {
+    if (typeof ghost !== 'object' || ghost.version !== GHOST_VERSION ||
+        !Number.isInteger(ghost.ticks) || ghost.ticks < 1 || ghost.ticks > MAX_GHOST_TICKS) {
+        return false;
+    }
+    const maxLength = Math.ceil(ghost.ticks * MAX_GHOST_BYTES_PER_TICK / 3) * 4;
+    return typeof ghost.data === 'string' && ghost.data.length <= maxLength &&
+        /^[A-Za-z0-9+/]*={0,2}$/.test(ghost.data);
+}
+
+// Plain counts and measures plus the sampled heights for the chart
+function isValidStats(stats, difficulty) {
+    if (typeof stats !== 'object' ||
+        !STATS_COUNTS.every(key => Number.isInteger(stats[key]) && stats[key] >= 0) ||
+        !STATS_MEASURES.every(key => Number.isFinite(stats[key]))) {
+        return false;
+    }
+    if (stats.longestAirtime > stats.ticks || stats.jumps > stats.ticks || stats.landings > stats.ticks ||
+        stats.peakScrollSpeed < 0 || stats.peakScrollSpeed > DIFFICULTY_LIMITS[difficulty].maxScrollSpeed) {
+        return false;
+    }
+    const { heights } = stats;
+    return typeof heights === 'object' && heights !== null &&
+        Number.isInteger(heights.interval) && heights.interval > 0 &&
+        Array.isArray(heights.samples) && heights.samples.length <= MAX_HEIGHT_SAMPLES &&
+        heights.samples.every(Number.isFinite);
+}
+
+// Returns the parsed integer, the fallback when missing, or null when invalid
+function parseIntParam(value, fallback) {
+    if (value === undefined || value === '') {
+        return fallback;
+    }
+    const number = Number(value);
+    return Number.isInteger(number) ? number : null;
+}
+
+// Earliest timestamp included in a leaderboard time window ("today" is UTC)
+function windowStart(timeWindow, now) {
+    if (timeWindow === 'today') {
+        const date = new Date(now);
+        return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+    }
+    if (timeWindow === 'week') {
+        return now - 7 * DAY_MS;
+    }
+    return 0;
+}
@@ -0,0 +1,73 @@
+// Service worker - keeps the game itself available offline.
+// The page shell is network-first (so deploys show up right away), built
+// assets and models are cache-first (their URLs never change content).
+// API requests always go to the network; the game handles their failures.
+
+const CACHE_NAME = 'towerjump-v1';
+const PRECACHE_URLS = ['/assets/Madara_Uchiha.obj', '/assets/Madara_Uchiha.mtl', '/assets/Robot.gltf'];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(precache().then(() => self.skipWaiting()));
+});
+
+// The page was loaded before this worker existed, so cache the shell and the
+// hashed bundles it references up front - otherwise the first visit would not work offline
+async function precache() {
+    const cache = await caches.open(CACHE_NAME);
+    const response = await fetch('/', { cache: 'no-cache' });
+    const html = await response.clone().text();
+    const bundles = Array.from(html.matchAll(/(?:src|href)="(\/assets\/[^"]+)"/g), match => match[1]);
+
+    await cache.put('/', response);
+    await cache.addAll([...bundles, ...PRECACHE_URLS]);
+}
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+
+    if (request.method !== 'GET' || url.origin !== self.location.origin || url.pathname.startsWith('/api/')) {
+        return;
+    }
+
+    if (request.mode === 'navigate') {
+        event.respondWith(networkFirst(request));
+    } else {
+        event.respondWith(cacheFirst(request));
+    }
+});
+
+async function networkFirst(request) {
+    const cache = await caches.open(CACHE_NAME);
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        return (await cache.match(request)) || (await cache.match('/'));
+    }
+}
+
+async function cacheFirst(request) {
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(request);
+    if (cached) {
+        return cached;
+    }
+
+    const response = await fetch(request);
+    if (response.ok) {
+        cache.put(request, response.clone());
+    }
+    return response;
+}
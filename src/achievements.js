@@ -0,0 +1,110 @@
+// Achievements unlocked by what happens in a run. The game reports events -
+// 'landing', 'jump', 'nearMiss', 'tick' {height} and 'runEnd' - and every
+// achievement not yet unlocked is checked against the current run and the
+// lifetime totals. Unlocks are kept in localStorage with their date and synced
+// to the player's record; the API accepts the IDs in api/_lib/achievements.js.
+// Names and descriptions live in the i18n catalogs as achievement.<id>.
+
+const STORAGE_KEY = 'towerjump_achievements';
+const TICKS_PER_SECOND = 60;
+
+export const ACHIEVEMENTS = [
+    { id: 'firstLanding', check: ({ totals }) => totals.landings >= 1 },
+    { id: 'hopper', check: ({ run }) => run.landings >= 100 },
+    { id: 'tireless', check: ({ totals }) => totals.landings >= 1000 },
+    { id: 'height50', check: ({ run }) => run.height >= 50 },
+    { id: 'height150', check: ({ run }) => run.height >= 150 },
+    { id: 'height300', check: ({ run }) => run.height >= 300 },
+    { id: 'closeCall', check: ({ run }) => run.nearMisses >= 1 },
+    { id: 'escapeArtist', check: ({ run }) => run.nearMisses >= 5 },
+    { id: 'zen', check: ({ run }) => run.ticksWithoutJump >= 3 * TICKS_PER_SECOND },
+    { id: 'monk', check: ({ run }) => run.ticksWithoutJump >= 8 * TICKS_PER_SECOND },
+    { id: 'regular', check: ({ totals }) => totals.runs >= 10 },
+    { id: 'veteran', check: ({ totals }) => totals.runs >= 100 }
+];
+
+const listeners = [];
+const state = loadState(); // { unlocked: { id: ISO date }, totals: { runs, landings } }
+let run = createRunStats();
+
+function createRunStats() {
+    return { landings: 0, nearMisses: 0, jumps: 0, ticksWithoutJump: 0, height: 0 };
+}
+
+function loadState() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        if (stored && stored.unlocked && stored.totals) {
+            return stored;
+        }
+    } catch (error) {
+        console.error('Error reading achievements:', error);
+    }
+    return { unlocked: {}, totals: { runs: 0, landings: 0 } };
+}
+
+function saveState() {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+}
+
+export function startRun() {
+    run = createRunStats();
+}
+
+export function trackEvent(type, data = {}) {
+    switch (type) {
+        case 'landing':
+            run.landings++;
+            state.totals.landings++;
+            break;
+        case 'jump':
+            run.jumps++;
+            run.ticksWithoutJump = 0;
+            break;
+        case 'nearMiss':
+            run.nearMisses++;
+            break;
+        case 'tick':
+            run.height = Math.max(run.height, data.height);
+            // The streak starts with the first jump, not while waiting on the start platform
+            if (run.jumps > 0) {
+                run.ticksWithoutJump++;
+            }
+            break;
+        case 'runEnd':
+            state.totals.runs++;
+            break;
+    }
+
+    const unlocked = ACHIEVEMENTS.filter(achievement =>
+        !state.unlocked[achievement.id] && achievement.check({ run, totals: state.totals }));
+    unlocked.forEach(achievement => {
+        state.unlocked[achievement.id] = new Date().toISOString();
+    });
+    if (unlocked.length > 0 || type === 'runEnd') {
+        saveState();
+    }
+    unlocked.forEach(achievement => listeners.forEach(listener => listener(achievement.id)));
+}
+
+// listener(id) is called once for every newly unlocked achievement
+export function onUnlock(listener) {
+    listeners.push(listener);
+}
+
+// ID -> date of unlock
+export function getUnlocked() {
+    return { ...state.unlocked };
+}
+
+// Takes over achievements unlocked on another device, keeping the earlier
+// date; returns the IDs unlocked here that the server does not know yet
+export function mergeUnlocked(remote) {
+    for (const { id } of ACHIEVEMENTS) {
+        if (remote[id] && !(state.unlocked[id] && state.unlocked[id] <= remote[id])) {
+            state.unlocked[id] = remote[id];
+        }
+    }
+    saveState();
+    return Object.keys(state.unlocked).filter(id => !remote[id]);
+}
@@ -0,0 +1,28 @@
+// Small fetch wrapper for the game's JSON API
+
+export class ApiError extends Error {
+    constructor(status, code) {
+        super(`API request failed (${status}${code ? ` ${code}` : ''})`);
+        this.name = 'ApiError';
+        this.status = status;
+        this.code = code;
+        // 4xx means the server looked at the request and refused it
+        this.rejected = status >= 400 && status < 500;
+    }
+}
+
+// Resolves to the parsed JSON body; throws ApiError on non-2xx responses
+export async function requestJson(url, { method = 'GET', body } = {}) {
+    const response = await fetch(url, {
+        method,
+        headers: body === undefined ? {} : { 'Content-Type': 'application/json' },
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+
+    if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new ApiError(response.status, data.code);
+    }
+
+    return await response.json();
+}
@@ -0,0 +1,59 @@
+import * as THREE from 'three';
+
+// Central tracking of every asset fetched at runtime. All loaders are created
+// with `loadingManager`, so the start screen can show overall progress.
+// Progress counts whole files; files that report their size also add the
+// fraction downloaded so far, so one big model does not sit at 0% until done.
+
+export const loadingManager = new THREE.LoadingManager();
+
+const fileProgress = new Map(); // URL -> fraction downloaded, for files still loading
+const listeners = [];
+let itemsLoaded = 0;
+let itemsTotal = 0;
+
+loadingManager.onStart = (url, loaded, total) => {
+    itemsLoaded = loaded;
+    itemsTotal = total;
+    notify();
+};
+
+// Called when a file finishes, failed ones included - errors are reported by
+// whoever requested the asset, since some are recoverable (a missing MTL)
+loadingManager.onProgress = (url, loaded, total) => {
+    fileProgress.delete(url);
+    itemsLoaded = loaded;
+    itemsTotal = total;
+    notify();
+};
+
+export function onAssetProgress(listener) {
+    listeners.push(listener);
+}
+
+// Overall progress 0-1 and whether anything is still loading
+export function getAssetProgress() {
+    if (itemsTotal === 0 || itemsLoaded >= itemsTotal) {
+        return { progress: 1, loading: false };
+    }
+    let done = itemsLoaded;
+    fileProgress.forEach(fraction => {
+        done += fraction;
+    });
+    return { progress: done / itemsTotal, loading: true };
+}
+
+// onProgress callback for loader.load/loadAsync; `url` must match what the
+// loader passes to the manager (path + file)
+export function trackFileProgress(url) {
+    return (event) => {
+        if (!event.lengthComputable || event.total === 0) return;
+        fileProgress.set(loadingManager.resolveURL(url), event.loaded / event.total);
+        notify();
+    };
+}
+
+function notify() {
+    const status = getAssetProgress();
+    listeners.forEach(listener => listener(status));
+}
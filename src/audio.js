@@ -0,0 +1,254 @@
+// Procedural audio - every sound effect and the music are synthesized with
+// the Web Audio API, so there are no audio files to load.
+// The AudioContext is created on the first sound played after a user gesture
+// (browsers keep it suspended otherwise).
+
+const SETTINGS_KEY = 'towerjump_audio';
+const DEFAULT_SETTINGS = { volume: 0.7, muted: false };
+
+const MUSIC_VOLUME = 0.35;
+const MUSIC_STEP = 0.125; // Seconds per 16th note (120 BPM)
+const MUSIC_LOOKAHEAD = 0.1; // Seconds of music scheduled ahead of time
+const MUSIC_SCHEDULE_INTERVAL = 25; // Milliseconds
+const LAYER_FADE_TIME = 0.8;
+
+// Music layers join in as the camera scroll speed passes their threshold
+const MUSIC_LAYERS = {
+    bass: { minSpeed: 0, volume: 0.5 },
+    drums: { minSpeed: 0.03, volume: 0.4 },
+    arp: { minSpeed: 0.05, volume: 0.18 },
+    lead: { minSpeed: 0.075, volume: 0.14 }
+};
+
+// One chord per bar, as MIDI notes: Am, F, C, G
+const CHORDS = [
+    [57, 60, 64],
+    [53, 57, 60],
+    [48, 52, 55],
+    [55, 59, 62]
+];
+const LEAD_MELODY = [76, null, 72, 74, 76, null, 79, null, 77, null, 76, 74, 72, null, 69, null];
+
+let settings = loadSettings();
+let context = null;
+let masterGain = null;
+let musicGain = null;
+let layerGains = {};
+let activeLayers = {}; // Layer name -> whether it is currently faded in
+let noiseBuffer = null;
+let musicTimer = null;
+let nextStepTime = 0;
+let musicStep = 0;
+
+function loadSettings() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(SETTINGS_KEY));
+        if (stored && typeof stored.volume === 'number') {
+            return { ...DEFAULT_SETTINGS, ...stored };
+        }
+    } catch (error) {
+        console.error('Error reading audio settings:', error);
+    }
+    return { ...DEFAULT_SETTINGS };
+}
+
+function saveSettings() {
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+}
+
+function getContext() {
+    if (!context) {
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContextClass) return null;
+
+        context = new AudioContextClass();
+        masterGain = context.createGain();
+        masterGain.connect(context.destination);
+        applyVolume();
+
+        musicGain = context.createGain();
+        musicGain.gain.value = MUSIC_VOLUME;
+        musicGain.connect(masterGain);
+        for (const name of Object.keys(MUSIC_LAYERS)) {
+            layerGains[name] = context.createGain();
+            layerGains[name].gain.value = 0;
+            layerGains[name].connect(musicGain);
+        }
+
+        noiseBuffer = context.createBuffer(1, context.sampleRate, context.sampleRate);
+        const data = noiseBuffer.getChannelData(0);
+        for (let i = 0; i < data.length; i++) {
+            data[i] = Math.random() * 2 - 1;
+        }
+    }
+    if (context.state === 'suspended') {
+        context.resume();
+    }
+    return context;
+}
+
+function applyVolume() {
+    if (masterGain) {
+        masterGain.gain.setTargetAtTime(settings.muted ? 0 : settings.volume, context.currentTime, 0.02);
+    }
+}
+
+export function getAudioSettings() {
+    return { ...settings };
+}
+
+export function setVolume(volume) {
+    settings.volume = Math.max(0, Math.min(1, volume));
+    saveSettings();
+    applyVolume();
+}
+
+export function setMuted(muted) {
+    settings.muted = muted;
+    saveSettings();
+    applyVolume();
+}
+
+function midiToFrequency(note) {
+    return 440 * Math.pow(2, (note - 69) / 12);
+}
+
+// A single enveloped oscillator note, optionally sliding to another frequency
+function playTone({ type = 'sine', frequency, endFrequency, start, duration, volume, destination = masterGain }) {
+    const osc = context.createOscillator();
+    const gain = context.createGain();
+    osc.type = type;
+    osc.frequency.setValueAtTime(frequency, start);
+    if (endFrequency) {
+        osc.frequency.exponentialRampToValueAtTime(endFrequency, start + duration);
+    }
+    gain.gain.setValueAtTime(0.0001, start);
+    gain.gain.exponentialRampToValueAtTime(volume, start + 0.01);
+    gain.gain.exponentialRampToValueAtTime(0.0001, start + duration);
+    osc.connect(gain);
+    gain.connect(destination);
+    osc.start(start);
+    osc.stop(start + duration + 0.02);
+}
+
+function playNoise({ start, duration, volume, filterFrequency, destination = masterGain }) {
+    const source = context.createBufferSource();
+    const filter = context.createBiquadFilter();
+    const gain = context.createGain();
+    source.buffer = noiseBuffer;
+    filter.type = 'highpass';
+    filter.frequency.value = filterFrequency;
+    gain.gain.setValueAtTime(volume, start);
+    gain.gain.exponentialRampToValueAtTime(0.0001, start + duration);
+    source.connect(filter);
+    filter.connect(gain);
+    gain.connect(destination);
+    source.start(start);
+    source.stop(start + duration + 0.02);
+}
+
+const SOUNDS = {
+    jump(now) {
+        playTone({ type: 'square', frequency: 300, endFrequency: 620, start: now, duration: 0.12, volume: 0.12 });
+    },
+    land(now) {
+        playTone({ type: 'sine', frequency: 160, endFrequency: 70, start: now, duration: 0.1, volume: 0.3 });
+        playNoise({ start: now, duration: 0.05, volume: 0.08, filterFrequency: 2000 });
+    },
+    bounce(now) {
+        playTone({ type: 'triangle', frequency: 200, endFrequency: 900, start: now, duration: 0.25, volume: 0.25 });
+    },
+    gameOver(now) {
+        [64, 60, 57, 52].forEach((note, i) => {
+            playTone({ type: 'sawtooth', frequency: midiToFrequency(note), start: now + i * 0.18, duration: 0.3, volume: 0.12 });
+        });
+    },
+    highScore(now) {
+        [72, 76, 79, 84].forEach((note, i) => {
+            playTone({ type: 'square', frequency: midiToFrequency(note), start: now + i * 0.1, duration: 0.25, volume: 0.1 });
+        });
+        playTone({ type: 'triangle', frequency: midiToFrequency(88), start: now + 0.4, duration: 0.6, volume: 0.12 });
+    },
+    achievement(now) {
+        [79, 84].forEach((note, i) => {
+            playTone({ type: 'triangle', frequency: midiToFrequency(note), start: now + i * 0.08, duration: 0.3, volume: 0.15 });
+        });
+    }
+};
+
+export function playSound(name) {
+    if (!getContext()) return;
+    SOUNDS[name](context.currentTime);
+}
+
+export function startMusic() {
+    if (musicTimer !== null || !getContext()) return;
+
+    musicStep = 0;
+    nextStepTime = context.currentTime + 0.05;
+    musicTimer = setInterval(scheduleMusic, MUSIC_SCHEDULE_INTERVAL);
+}
+
+export function stopMusic() {
+    if (musicTimer === null) return;
+
+    clearInterval(musicTimer);
+    musicTimer = null;
+    activeLayers = {};
+    for (const gain of Object.values(layerGains)) {
+        gain.gain.setTargetAtTime(0, context.currentTime, 0.1);
+    }
+}
+
+// Fade layers in and out to match the current camera scroll speed
+export function setMusicIntensity(scrollSpeed) {
+    if (musicTimer === null) return;
+
+    for (const [name, layer] of Object.entries(MUSIC_LAYERS)) {
+        const active = scrollSpeed >= layer.minSpeed;
+        if (activeLayers[name] !== active) {
+            activeLayers[name] = active;
+            layerGains[name].gain.setTargetAtTime(active ? layer.volume : 0, context.currentTime, LAYER_FADE_TIME);
+        }
+    }
+}
+
+function scheduleMusic() {
+    // Skip ahead instead of playing a burst of notes after the timer was throttled
+    if (nextStepTime < context.currentTime - MUSIC_LOOKAHEAD) {
+        nextStepTime = context.currentTime;
+    }
+    while (nextStepTime < context.currentTime + MUSIC_LOOKAHEAD) {
+        scheduleStep(musicStep, nextStepTime);
+        nextStepTime += MUSIC_STEP;
+        musicStep++;
+    }
+}
+
+function scheduleStep(step, time) {
+    const beat = step % 16;
+    const chord = CHORDS[Math.floor(step / 16) % CHORDS.length];
+
+    // Every layer is always scheduled; their gains decide what is heard
+    if (beat % 4 === 0) {
+        playTone({ type: 'triangle', frequency: midiToFrequency(chord[0] - 12), start: time, duration: MUSIC_STEP * 3, volume: 0.6, destination: layerGains.bass });
+    }
+
+    if (beat % 8 === 0) {
+        playTone({ type: 'sine', frequency: 120, endFrequency: 40, start: time, duration: 0.15, volume: 0.8, destination: layerGains.drums });
+    }
+    if (beat % 8 === 4) {
+        playNoise({ start: time, duration: 0.12, volume: 0.5, filterFrequency: 1500, destination: layerGains.drums });
+    }
+    if (beat % 2 === 1) {
+        playNoise({ start: time, duration: 0.03, volume: 0.3, filterFrequency: 7000, destination: layerGains.drums });
+    }
+
+    const arpNote = chord[beat % chord.length] + (beat >= 8 ? 12 : 0);
+    playTone({ type: 'square', frequency: midiToFrequency(arpNote), start: time, duration: MUSIC_STEP * 0.8, volume: 0.5, destination: layerGains.arp });
+
+    const leadNote = LEAD_MELODY[beat];
+    if (leadNote !== null) {
+        playTone({ type: 'sawtooth', frequency: midiToFrequency(leadNote), start: time, duration: MUSIC_STEP * 1.8, volume: 0.5, destination: layerGains.lead });
+    }
+}
@@ -0,0 +1,59 @@
+import * as THREE from 'three';
+
+// Small turntable render of the selected character for the start screen.
+// It has its own renderer and scene and only animates while running.
+
+const ROTATION_SPEED = 0.8; // Radians per second
+
+export function createCharacterPreview(canvas) {
+    const renderer = new THREE.WebGLRenderer({ canvas, antialias: true, alpha: true });
+    renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
+    renderer.setSize(canvas.clientWidth || canvas.width, canvas.clientHeight || canvas.height, false);
+
+    const scene = new THREE.Scene();
+    const camera = new THREE.PerspectiveCamera(40, canvas.width / canvas.height, 0.1, 20);
+    camera.position.set(0, 0.3, 3.2);
+    camera.lookAt(0, 0, 0);
+
+    scene.add(new THREE.AmbientLight(0x808090, 1));
+    const light = new THREE.DirectionalLight(0xffffff, 1.5);
+    light.position.set(2, 3, 4);
+    scene.add(light);
+
+    const turntable = new THREE.Group();
+    scene.add(turntable);
+
+    let frameId = null;
+    let lastTime = 0;
+
+    function render(time) {
+        frameId = requestAnimationFrame(render);
+        turntable.rotation.y += Math.min((time - lastTime) / 1000, 0.1) * ROTATION_SPEED;
+        lastTime = time;
+        renderer.render(scene, camera);
+    }
+
+    return {
+        // Replace the displayed character; `locked` shows it as a dark silhouette
+        show(object, { locked = false } = {}) {
+            turntable.clear();
+            if (locked) {
+                const silhouette = new THREE.MeshBasicMaterial({ color: 0x111118 });
+                object.traverse(child => {
+                    if (child instanceof THREE.Mesh) child.material = silhouette;
+                });
+            }
+            turntable.add(object);
+            renderer.render(scene, camera);
+        },
+        start() {
+            if (frameId !== null) return;
+            lastTime = performance.now();
+            frameId = requestAnimationFrame(render);
+        },
+        stop() {
+            cancelAnimationFrame(frameId);
+            frameId = null;
+        }
+    };
+}
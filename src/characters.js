@@ -0,0 +1,176 @@
+import * as THREE from 'three';
+import { OBJLoader } from 'three/addons/loaders/OBJLoader.js';
+import { MTLLoader } from 'three/addons/loaders/MTLLoader.js';
+import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+import { loadingManager, trackFileProgress } from './assets.js';
+
+// Playable characters. Each one either loads a model (OBJ with optional MTL,
+// or glTF/GLB) or uses the built-in capsule, which is also the fallback when
+// a model fails to load. Failed loads are not cached, so they can be retried.
+// Models are scaled to the player height, then by `scale`; `tint` recolours
+// every material. `unlock` is a profile stat the player has to reach, null for
+// characters available from the start.
+// Display names live in the i18n catalogs as character.<id>.
+
+export const DEFAULT_CHARACTER = 'madara';
+
+export const CHARACTERS = {
+    madara: {
+        model: { format: 'obj', path: '/assets/', file: 'Madara_Uchiha.obj', materials: 'Madara_Uchiha.mtl' },
+        scale: 1,
+        tint: 0xcc4444,
+        unlock: null
+    },
+    runner: {
+        model: null,
+        scale: 1,
+        tint: 0x44aaff,
+        unlock: null
+    },
+    robot: {
+        model: { format: 'gltf', path: '/assets/', file: 'Robot.gltf' },
+        scale: 1,
+        tint: 0x66ccbb,
+        unlock: null
+    },
+    veteran: {
+        model: null,
+        scale: 1.1,
+        tint: 0xaa66ff,
+        unlock: { stat: 'runs', value: 25 }
+    },
+    shadow: {
+        model: { format: 'obj', path: '/assets/', file: 'Madara_Uchiha.obj', materials: 'Madara_Uchiha.mtl' },
+        scale: 1,
+        tint: 0x333344,
+        unlock: { stat: 'bestScore', value: 1000 }
+    },
+    golden: {
+        model: null,
+        scale: 1,
+        tint: 0xffcc00,
+        unlock: { stat: 'bestScore', value: 3000 }
+    }
+};
+
+const loadedModels = new Map(); // Character ID -> promise of the prepared model
+const loadedFiles = new Map(); // Model file -> promise of the raw object, shared by characters using it
+
+export function isCharacterUnlocked(id, stats) {
+    const { unlock } = CHARACTERS[id];
+    return !unlock || (stats?.[unlock.stat] ?? 0) >= unlock.value;
+}
+
+// Simple capsule body with a head, used for characters without a model
+export function createCapsuleModel(tint) {
+    const group = new THREE.Group();
+    const material = new THREE.MeshStandardMaterial({
+        color: tint,
+        emissive: new THREE.Color(tint).multiplyScalar(0.25),
+        emissiveIntensity: 0.3,
+        metalness: 0.4,
+        roughness: 0.6
+    });
+
+    const body = new THREE.Mesh(new THREE.CapsuleGeometry(0.3, 0.8, 8, 16), material);
+    body.castShadow = true;
+    body.receiveShadow = true;
+    group.add(body);
+
+    const head = new THREE.Mesh(new THREE.SphereGeometry(0.25, 16, 16), material);
+    head.position.y = 0.7;
+    head.castShadow = true;
+    group.add(head);
+
+    return group;
+}
+
+// Resolves to a model ready to be cloned into the scene - scaled, centred,
+// tinted and facing the camera - or null when the character uses the capsule.
+// Rejects when the model file cannot be loaded.
+export function loadCharacterModel(id, height) {
+    if (!loadedModels.has(id)) {
+        const character = CHARACTERS[id];
+        const promise = character.model
+            ? loadModelFile(character.model)
+                .then(object => prepareModel(object.clone(), character, height))
+                .catch(error => {
+                    loadedModels.delete(id);
+                    throw error;
+                })
+            : Promise.resolve(null);
+        loadedModels.set(id, promise);
+    }
+    return loadedModels.get(id);
+}
+
+// A fresh model instance for the scene, falling back to the capsule
+export function createCharacterObject(id, model) {
+    return model ? model.clone() : createCapsuleModel(CHARACTERS[id].tint);
+}
+
+function loadModelFile(model) {
+    const key = model.path + model.file;
+    if (!loadedFiles.has(key)) {
+        loadedFiles.set(key, fetchModelFile(model).catch(error => {
+            loadedFiles.delete(key);
+            throw error;
+        }));
+    }
+    return loadedFiles.get(key);
+}
+
+async function fetchModelFile({ format, path, file, materials }) {
+    if (format === 'gltf') {
+        const gltf = await new GLTFLoader(loadingManager).setPath(path).loadAsync(file, trackFileProgress(path + file));
+        return gltf.scene;
+    }
+
+    const objLoader = new OBJLoader(loadingManager).setPath(path);
+    if (materials) {
+        try {
+            const mtl = await new MTLLoader(loadingManager).setPath(path).loadAsync(materials, trackFileProgress(path + materials));
+            mtl.preload();
+            objLoader.setMaterials(mtl);
+        } catch (error) {
+            // Without materials the tint below still gives the model a colour
+            console.error('Error loading MTL, loading OBJ without materials:', error);
+        }
+    }
+    return await objLoader.loadAsync(file, trackFileProgress(path + file));
+}
+
+function prepareModel(object, character, height) {
+    const tint = new THREE.Color(character.tint);
+    object.traverse(child => {
+        if (!(child instanceof THREE.Mesh)) return;
+
+        // Lit materials are recoloured in place (keeping any textures), anything else is replaced
+        const materials = Array.isArray(child.material) ? child.material : [child.material];
+        child.material = materials.map(material => {
+            const tinted = 'emissive' in material ? material.clone() : new THREE.MeshStandardMaterial({ metalness: 0.3, roughness: 0.7 });
+            tinted.color = tint.clone();
+            tinted.emissive = tint.clone().multiplyScalar(0.25);
+            tinted.emissiveIntensity = 0.2;
+            return tinted;
+        });
+        if (child.material.length === 1) {
+            child.material = child.material[0];
+        }
+        child.castShadow = true;
+        child.receiveShadow = true;
+    });
+
+    // Fit the tallest dimension to the player height and centre the model on its origin
+    const box = new THREE.Box3().setFromObject(object);
+    const size = box.getSize(new THREE.Vector3());
+    const scale = height / Math.max(size.x, size.y, size.z) * character.scale;
+    object.scale.setScalar(scale);
+    object.position.copy(box.getCenter(new THREE.Vector3()).multiplyScalar(-scale));
+
+    // The wrapper turns the centred model to face the camera
+    const model = new THREE.Group();
+    model.add(object);
+    model.rotation.y = Math.PI;
+    return model;
+}
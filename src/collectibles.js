@@ -0,0 +1,52 @@
+// Collectibles placed above platforms by the tower generator. Pickup effects
+// live in game.js (collectItem); this module only describes each item and
+// decides what, if anything, to place.
+
+export const COLLECTIBLE_TYPES = {
+    // Bonus score
+    coin: {
+        weight: 14,
+        color: 0xffcc00,
+        value: 25
+    },
+    // One extra jump in mid-air
+    doubleJump: {
+        weight: 2,
+        color: 0x00e5ff,
+        maxCharges: 3
+    },
+    // Halves the camera scroll speed for a while
+    slowMo: {
+        weight: 2,
+        color: 0x6699ff,
+        duration: 300, // Ticks
+        speedFactor: 0.5
+    },
+    // Saves the player from the death line once
+    shield: {
+        weight: 2,
+        color: 0x00ff88
+    }
+};
+
+export const COLLECTIBLE_CHANCE = 0.3;
+export const COLLECTIBLE_OFFSET_Y = 1.2; // Height above the platform top
+export const PICKUP_RADIUS = 0.9;
+
+// Returns a collectible type name, or null for an empty platform
+export function pickCollectibleType(random) {
+    if (random() >= COLLECTIBLE_CHANCE) {
+        return null;
+    }
+
+    const entries = Object.entries(COLLECTIBLE_TYPES);
+    const totalWeight = entries.reduce((sum, [, type]) => sum + type.weight, 0);
+    let roll = random() * totalWeight;
+    for (const [name, type] of entries) {
+        roll -= type.weight;
+        if (roll < 0) {
+            return name;
+        }
+    }
+    return entries[entries.length - 1][0];
+}
@@ -0,0 +1,20 @@
+// Daily challenge: one tower per UTC day, the same for every player and always
+// on the same difficulty. Keep in sync with api/_lib/daily.js.
+
+export const DAILY_DIFFICULTY = 'hard';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Today's challenge as YYYY-MM-DD
+export function dailyDate(now = Date.now()) {
+    return new Date(now).toISOString().substring(0, 10);
+}
+
+export function dailySeed(date) {
+    return `daily-${date}`;
+}
+
+// The challenge `days` days before or after `date`
+export function shiftDailyDate(date, days) {
+    return dailyDate(Date.parse(date) + days * DAY_MS);
+}
@@ -0,0 +1,60 @@
+// Difficulty presets for the tower. Every setting is a curve over height
+// (world units) given as [height, value] keyframes - values are linearly
+// interpolated between keyframes and held flat past the first and last one.
+// Scroll speed follows the camera height, the rest the height of the platform
+// being generated.
+// The score API mirrors the speed and spacing bounds in api/_lib/difficulty.js.
+// Display names live in the i18n catalogs as difficulty.<name>.
+
+export const DEFAULT_DIFFICULTY = 'normal';
+
+export const DIFFICULTIES = {
+    easy: {
+        scrollSpeed: [[0, 0.015], [300, 0.025], [1500, 0.05]],
+        spacingMin: [[0, 1.6], [1500, 1.8]],
+        spacingMax: [[0, 2.6], [1500, 3.0]],
+        platformWidth: [[0, 3.2], [1500, 2.6]],
+        specialChance: [[0, 0], [300, 0.4]]
+    },
+    // The original fixed tuning - speed ramps up about as fast as it used to over time
+    normal: {
+        scrollSpeed: [[0, 0.02], [150, 0.03], [630, 0.05], [1800, 0.08]],
+        spacingMin: [[0, 1.8]],
+        spacingMax: [[0, 3.2]],
+        platformWidth: [[0, 2.5]],
+        specialChance: [[0, 0], [180, 0.6]]
+    },
+    hard: {
+        scrollSpeed: [[0, 0.03], [300, 0.05], [1200, 0.09]],
+        spacingMin: [[0, 2.0], [800, 2.4]],
+        spacingMax: [[0, 3.4], [800, 3.7]],
+        platformWidth: [[0, 2.2], [800, 1.7]],
+        specialChance: [[0, 0.1], [150, 0.7]]
+    },
+    // Spacing stays below the highest possible jump (about 4.2)
+    insane: {
+        scrollSpeed: [[0, 0.04], [200, 0.07], [800, 0.11]],
+        spacingMin: [[0, 2.4], [500, 2.8]],
+        spacingMax: [[0, 3.6], [500, 3.9]],
+        platformWidth: [[0, 1.8], [500, 1.4]],
+        specialChance: [[0, 0.3], [100, 0.8]]
+    }
+};
+
+export function isDifficulty(name) {
+    return Object.hasOwn(DIFFICULTIES, name);
+}
+
+export function sampleCurve(curve, height) {
+    if (height <= curve[0][0]) {
+        return curve[0][1];
+    }
+    for (let i = 1; i < curve.length; i++) {
+        const [h1, v1] = curve[i];
+        if (height < h1) {
+            const [h0, v0] = curve[i - 1];
+            return v0 + (v1 - v0) * (height - h0) / (h1 - h0);
+        }
+    }
+    return curve[curve.length - 1][1];
+}
@@ -1,58 +1,239 @@
 import * as THREE from 'three';
-import { OBJLoader } from 'three/addons/loaders/OBJLoader.js';
-import { MTLLoader } from 'three/addons/loaders/MTLLoader.js';
+import { createRandom, normalizeSeed, generateSeed } from './random.js';
+import { PLATFORM_TYPES, pickPlatformType } from './platformTypes.js';
+import { CHARACTERS, DEFAULT_CHARACTER, isCharacterUnlocked, loadCharacterModel, createCharacterObject, createCapsuleModel } from './characters.js';
+import { createCharacterPreview } from './characterPreview.js';
+import { onAssetProgress, getAssetProgress } from './assets.js';
+import { DIFFICULTIES, DEFAULT_DIFFICULTY, isDifficulty, sampleCurve } from './difficulty.js';
+import { COLLECTIBLE_TYPES, COLLECTIBLE_OFFSET_Y, PICKUP_RADIUS, pickCollectibleType } from './collectibles.js';
+import { requestJson } from './api.js';
+import {
+    ACTIONS,
+    KEYBOARD_SLOTS,
+    initInput,
+    readInput as pollInput,
+    readPlayerInput,
+    clearInput,
+    getBindings,
+    setBinding,
+    resetBindings,
+    captureNextBinding,
+    formatBinding
+} from './input.js';
+import { playSound, startMusic, stopMusic, setMusicIntensity, getAudioSettings, setVolume, setMuted } from './audio.js';
+import { initScoreQueue, queueScore } from './scoreQueue.js';
+import { LOCALE_NAMES, getLocale, setLocale, onLocaleChange, applyTranslations, t, formatNumber, formatDate } from './i18n.js';
+import { loadProfile, registerProfile, recordRun, fetchProfile, syncAchievements } from './profile.js';
+import { createInputRecorder, createReplay, parseReplay, expandInputs, decodeInput } from './replay.js';
+import { createGhostRecorder, decodeGhost, ghostPositionAt } from './ghost.js';
+import { createStatsRecorder } from './runStats.js';
+import { POSITION_INTERVAL, REMOTE_DELAY_TICKS, connectToRooms, createRemoteTrack } from './multiplayer.js';
+import { DAILY_DIFFICULTY, dailyDate, dailySeed, shiftDailyDate } from './daily.js';
+import { ACHIEVEMENTS, startRun as startAchievementRun, trackEvent, onUnlock, getUnlocked, mergeUnlocked } from './achievements.js';
 import '../style.css';
 
-// Game constants
-const GRAVITY = -0.012;
-const JUMP_FORCE = 0.32;
-const MOVE_ACCELERATION = 0.25;
-const MAX_MOVE_SPEED = 0.15;
-const FRICTION = 0.75;
-const AIR_FRICTION = 0.8;
-const PLATFORM_WIDTH = 2.5;
+// Player movement and jump feel - tune everything here (values are per tick)
+const PLAYER_PHYSICS = {
+    gravity: -0.012,
+    terminalVelocity: -0.5,
+    jumpForce: 0.32,
+    maxMoveSpeed: 0.15,
+    moveAcceleration: 0.25, // Air control: share of the gap to target speed closed per tick
+    friction: 0.75,
+    airFriction: 0.8,
+    coyoteTicks: 6, // Grace period to still jump after walking off a ledge
+    jumpBufferTicks: 6, // A jump pressed this early before landing still fires
+    jumpCutMultiplier: 0.5 // Upward speed kept when the jump button is released early
+};
+
+// Game constants - spacing, width and scroll speed come from the difficulty curves
+const START_PLATFORM_WIDTH = 4.5;
 const PLATFORM_HEIGHT = 0.3;
 const PLATFORM_DEPTH = 2.5;
 const PLAYER_WIDTH = 0.8;
 const PLAYER_HEIGHT = 1.5;
-const PLATFORM_SPACING_MIN = 1.8;
-const PLATFORM_SPACING_MAX = 3.2;
 const HORIZONTAL_RANGE = 4;
 const INITIAL_PLATFORMS = 25;
 const MAX_LEADERBOARD_ENTRIES = 10;
-
-// Camera scroll speed (constant upward movement)
-const CAMERA_SCROLL_SPEED_INITIAL = 0.02;
-const CAMERA_SCROLL_SPEED_INCREMENT = 0.0001; // Speed increases over time
-const CAMERA_SCROLL_SPEED_MAX = 0.08;
+const DIFFICULTY_KEY = 'towerjump_difficulty';
+const CHARACTER_KEY = 'towerjump_character';
+const COUNTDOWN_SECONDS = 3;
+const LEADERBOARD_CACHE_KEY = 'towerjump_leaderboard_cache';
+const GHOST_BEST_KEY = 'towerjump_ghost_best';
+const GHOST_COLOR = 0x99ddff;
+const GHOST_OPACITY = 0.35;
+const STATS_COLOR = '#00ff88';
+const STATS_COMPARE_COLOR = '#99ddff';
+const CAMERA_START_Y = 5;
+const DEATH_LINE_OFFSET = 8; // How far below its camera a runner may fall
+const NEAR_MISS_MARGIN = 1.5; // Landing after dipping this close to the death line is a near miss
+const TOAST_DURATION = 3000;
+const VERSUS_RIVAL_TINT = 0xff8844; // Player 2 climbs as a capsule in this colour
+const REMOTE_COLORS = [0xffaa66, 0xaaff88, 0xff88cc, 0xffee66, 0xbb99ff, 0x66ffee, 0xff6666]; // Online rivals, by room order
+
+// Fixed-timestep simulation - all per-tick constants above are tuned for 60 ticks/s
+const FIXED_TIMESTEP = 1 / 60;
+const MAX_FRAME_TIME = 0.25; // Avoid spiral of death after long stalls
 
 // Game state
-let scene, camera, renderer;
-let player;
-let playerModel = null;
+let scene, renderer;
+let cameras = []; // One scroll camera per runner slot, split-screen in versus mode
+let runners = []; // Everyone climbing in the current run - see createRunner()
+let versusMode = false;
+let versusResult = null; // { winner, scores } of the last finished versus race, winner null for a draw
+let onlineMode = false; // Racing others in an online room - see src/multiplayer.js
+let roomConnection = null;
+let onlineRoom = null; // { id, room, place, results } - own player ID, latest room snapshot, own place once fallen, last race results
+let remotePlayers = new Map(); // Player ID -> { track, object } of the rivals in an online race
+let playerModel = null; // Prepared model of the selected character, null while loading or for the capsule
+let playerModelStatus = 'loading'; // 'loading' | 'ready' | 'failed' - Start waits for the selected character
+let selectedCharacter = loadSelectedCharacter();
+let previewCharacterId = selectedCharacter; // Character shown in the picker, may still be locked
+let characterPreview = null;
 let platforms = [];
-let velocity = { x: 0, y: 0 };
-let isOnGround = false;
-let score = 0;
+let collectibles = [];
+let effects = []; // Short-lived pickup particle bursts
 let gameRunning = false;
-let keys = {};
-let cameraScrollSpeed = CAMERA_SCROLL_SPEED_INITIAL;
 let gameOverTriggered = false;
-let gameTime = 0;
+let currentSeed = '';
+let currentDifficulty = DEFAULT_DIFFICULTY; // Preset of the run being played or replayed
+let difficulty = DIFFICULTIES[DEFAULT_DIFFICULTY];
+let selectedDifficulty = loadSelectedDifficulty(); // Preset picked on the start screen
+let random = Math.random; // Layout RNG, re-seeded on every run
+let accumulator = 0;
+let animationFrameId = null;
+let tick = 0;
+let seeking = false; // Replay seek in progress - resimulated ticks stay silent
+let isPaused = false;
+let countdownTimer = null; // Resume countdown in progress
+let inputRecorder = null;
+let ghostRecorder = null; // Records the live run's positions for racing it later
+let statsRecorder = null; // Collects the live run's statistics - see src/runStats.js
+let raceGhost = null; // { name, seed, difficulty, positions } of the ghost being raced, kept for restarts
+let ghostObject = null;
+let dailyMode = false; // Playing the daily challenge, kept for restarts like raceGhost
+let currentDaily = null; // Date of the daily challenge being played, null for other runs
+let dailyAttempts = null; // { date, count } - own attempts at today's challenge
+let runToken = null; // Signed by /api/runs, required to submit the score
+let lastRun = null; // { seed, score, runToken, replay, ghost, stats } of the most recently finished run
+let statsComparison = null; // { name, stats } of the run compared with lastRun on the game-over screen, name null for the personal best
+let activeReplay = null; // { data, inputs, paused, speed } while watching a replay
+let profile = null; // { id, secret, name, registered } from localStorage
+let profileStats = null; // Public profile with stats, as returned by /api/players
 
 // DOM elements
+const hudElement = document.getElementById('ui');
 const scoreElement = document.getElementById('score');
+const versusHud = document.getElementById('versus-hud');
+const versusStatsElements = versusHud.querySelectorAll('.versus-stats');
+const touchControls = document.getElementById('touch-controls');
+const settingsScreen = document.getElementById('settings-screen');
+const settingsBtn = document.getElementById('settings-btn');
+const settingsCloseBtn = document.getElementById('settings-close-btn');
+const pauseScreen = document.getElementById('pause-screen');
+const resumeBtn = document.getElementById('resume-btn');
+const pauseRestartBtn = document.getElementById('pause-restart-btn');
+const pauseSettingsBtn = document.getElementById('pause-settings-btn');
+const pauseQuitBtn = document.getElementById('pause-quit-btn');
+const countdownElement = document.getElementById('countdown');
+const settingsResetBtn = document.getElementById('settings-reset-btn');
+const bindingsTable = document.getElementById('bindings-table');
+const volumeSlider = document.getElementById('volume-slider');
+const muteCheckbox = document.getElementById('mute-checkbox');
+const hudCoins = document.getElementById('hud-coins');
+const hudDoubleJump = document.getElementById('hud-double-jump');
+const hudSlowMo = document.getElementById('hud-slow-mo');
+const hudShield = document.getElementById('hud-shield');
+const hudGhost = document.getElementById('hud-ghost');
+const raceBestBtn = document.getElementById('race-best-btn');
+const achievementsBtn = document.getElementById('achievements-btn');
+const achievementsScreen = document.getElementById('achievements-screen');
+const achievementsProgressElement = document.getElementById('achievements-progress');
+const achievementsList = document.getElementById('achievements-list');
+const achievementsCloseBtn = document.getElementById('achievements-close-btn');
+const toastsElement = document.getElementById('toasts');
+const versusBtn = document.getElementById('versus-btn');
+const winnerScreen = document.getElementById('winner-screen');
+const winnerTitle = document.getElementById('winner-title');
+const winnerScoresList = document.getElementById('winner-scores');
+const rematchBtn = document.getElementById('rematch-btn');
+const winnerMenuBtn = document.getElementById('winner-menu-btn');
+const onlineBtn = document.getElementById('online-btn');
+const hudOnline = document.getElementById('hud-online');
+const lobbyScreen = document.getElementById('lobby-screen');
+const lobbyJoinSection = document.getElementById('lobby-join');
+const lobbyNameInput = document.getElementById('lobby-name');
+const lobbyCreateBtn = document.getElementById('lobby-create-btn');
+const lobbyCodeInput = document.getElementById('lobby-code-input');
+const lobbyJoinBtn = document.getElementById('lobby-join-btn');
+const lobbyRoomSection = document.getElementById('lobby-room');
+const lobbyCodeElement = document.getElementById('lobby-code');
+const lobbyResultsSection = document.getElementById('lobby-results');
+const lobbyResultsList = document.getElementById('lobby-results-list');
+const lobbyPlayersList = document.getElementById('lobby-players');
+const lobbyStatusElement = document.getElementById('lobby-status');
+const lobbyStartBtn = document.getElementById('lobby-start-btn');
+const lobbyErrorElement = document.getElementById('lobby-error');
+const lobbyLeaveBtn = document.getElementById('lobby-leave-btn');
 const highScoreElement = document.getElementById('high-score');
 const startScreen = document.getElementById('start-screen');
 const gameOverScreen = document.getElementById('game-over-screen');
 const finalScoreElement = document.getElementById('final-score');
 const startBtn = document.getElementById('start-btn');
+const dailyBtn = document.getElementById('daily-btn');
+const dailyInfoElement = document.getElementById('daily-info');
+const loadingStatusElement = document.getElementById('loading-status');
+const loadingBarFill = document.getElementById('loading-bar-fill');
+const loadingTextElement = document.getElementById('loading-text');
+const loadingRetryBtn = document.getElementById('loading-retry-btn');
 const restartBtn = document.getElementById('restart-btn');
 const saveScoreBtn = document.getElementById('save-score-btn');
 const playerNameInput = document.getElementById('player-name');
 const newHighScoreDiv = document.getElementById('new-high-score');
 const leaderboardList = document.getElementById('leaderboard-list');
 const gameOverLeaderboardList = document.getElementById('game-over-leaderboard-list');
+const queuedScoresElement = document.getElementById('queued-scores');
+const localeSelect = document.getElementById('locale-select');
+const characterPreviewCanvas = document.getElementById('character-preview');
+const characterPrevBtn = document.getElementById('character-prev-btn');
+const characterNextBtn = document.getElementById('character-next-btn');
+const characterNameElement = document.getElementById('character-name');
+const characterLockElement = document.getElementById('character-lock');
+const seedInput = document.getElementById('seed-input');
+const difficultyButtons = document.querySelectorAll('.difficulty-option');
+const finalDifficultyElement = document.getElementById('final-difficulty');
+const runStatsChart = document.getElementById('run-stats-chart');
+const runStatsLegend = document.getElementById('run-stats-legend');
+const runStatsTable = document.getElementById('run-stats-table');
+const leaderboardPanel = document.getElementById('leaderboard');
+const profilePanel = document.getElementById('profile');
+const showProfileBtn = document.getElementById('show-profile-btn');
+const showLeaderboardBtn = document.getElementById('show-leaderboard-btn');
+const showDailyBtn = document.getElementById('show-daily-btn');
+const dailyPanel = document.getElementById('daily');
+const dailyDateElement = document.getElementById('daily-date');
+const dailyPrevBtn = document.getElementById('daily-prev-btn');
+const dailyNextBtn = document.getElementById('daily-next-btn');
+const dailyPlayerElement = document.getElementById('daily-player');
+const dailyList = document.getElementById('daily-list');
+const dailyWinnersList = document.getElementById('daily-winners-list');
+const dailyWinnersMoreBtn = document.getElementById('daily-winners-more-btn');
+const profileNameInput = document.getElementById('profile-name');
+const profileSaveBtn = document.getElementById('profile-save-btn');
+const profileErrorElement = document.getElementById('profile-error');
+const profileStatsElement = document.getElementById('profile-stats');
+const profileRunsList = document.getElementById('profile-runs-list');
+const finalSeedElement = document.getElementById('final-seed');
+const saveErrorElement = document.getElementById('save-error');
+const watchReplayBtn = document.getElementById('watch-replay-btn');
+const downloadReplayBtn = document.getElementById('download-replay-btn');
+const replayFileInput = document.getElementById('replay-file-input');
+const replayControls = document.getElementById('replay-controls');
+const replayPlayBtn = document.getElementById('replay-play-btn');
+const replayScrubber = document.getElementById('replay-scrubber');
+const replayTimeElement = document.getElementById('replay-time');
+const replaySpeedBtn = document.getElementById('replay-speed-btn');
+const replayExitBtn = document.getElementById('replay-exit-btn');
 
 // Initialize Three.js
 function init() {
@@ -61,10 +242,13 @@ function init() {
     scene.background = new THREE.Color(0x1a1a2e);
     scene.fog = new THREE.Fog(0x1a1a2e, 15, 60);
 
-    // Camera
-    camera = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, 0.1, 100);
-    camera.position.set(0, 5, 14);
-    camera.lookAt(0, 5, 0);
+    // Cameras - the second one is only used by player 2 in versus mode
+    cameras = [0, 1].map(() => {
+        const camera = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, 0.1, 100);
+        camera.position.set(0, CAMERA_START_Y, 14);
+        camera.lookAt(0, CAMERA_START_Y, 0);
+        return camera;
+    });
 
     // Renderer
     renderer = new THREE.WebGLRenderer({ antialias: true });
@@ -102,28 +286,159 @@ function init() {
     // Add background particles
     createBackgroundParticles();
 
-    // Preload player model
+    // Preload the selected character and show it in the picker
+    onAssetProgress(renderLoadingStatus);
+    loadingRetryBtn.addEventListener('click', loadPlayerModel);
     loadPlayerModel();
+    characterPreview = createCharacterPreview(characterPreviewCanvas);
+    characterPreview.start();
+    characterPrevBtn.addEventListener('click', () => browseCharacters(-1));
+    characterNextBtn.addEventListener('click', () => browseCharacters(1));
 
     // Window resize handler
     window.addEventListener('resize', onWindowResize);
 
-    // Keyboard controls
-    window.addEventListener('keydown', (e) => {
-        keys[e.code] = true;
-        if ((e.code === 'Space' || e.code === 'KeyW' || e.code === 'ArrowUp') && gameRunning) {
-            e.preventDefault();
-        }
+    // Keyboard, gamepad and touch controls
+    initInput({
+        shouldPreventDefault: () => gameRunning,
+        touchRoot: touchControls
+    });
+
+    // Settings screen with rebindable controls
+    settingsBtn.addEventListener('click', openSettings);
+    settingsCloseBtn.addEventListener('click', closeSettings);
+    settingsResetBtn.addEventListener('click', () => {
+        resetBindings();
+        renderBindings();
     });
-    window.addEventListener('keyup', (e) => {
-        keys[e.code] = false;
+    bindingsTable.addEventListener('click', onBindingClick);
+
+    // Sound settings
+    const audioSettings = getAudioSettings();
+    volumeSlider.value = Math.round(audioSettings.volume * 100);
+    muteCheckbox.checked = audioSettings.muted;
+    volumeSlider.addEventListener('input', () => setVolume(volumeSlider.value / 100));
+    muteCheckbox.addEventListener('change', () => setMuted(muteCheckbox.checked));
+
+    // Seed from URL (?seed=abc) pre-fills the start screen field
+    const urlSeed = normalizeSeed(new URLSearchParams(window.location.search).get('seed'));
+    if (urlSeed) {
+        seedInput.value = urlSeed;
+    }
+
+    // Language - detected from the browser, switchable on the start screen
+    localeSelect.innerHTML = Object.entries(LOCALE_NAMES)
+        .map(([code, name]) => `<option value="${code}">${name}</option>`)
+        .join('');
+    localeSelect.value = getLocale();
+    localeSelect.addEventListener('change', () => setLocale(localeSelect.value));
+    onLocaleChange(refreshTexts);
+    applyTranslations();
+    refreshTexts();
+
+    // Difficulty picker - also switches the leaderboard to that difficulty
+    difficultyButtons.forEach(button => {
+        button.addEventListener('click', () => selectDifficulty(button.dataset.difficulty));
     });
+    renderDifficultyPicker();
 
-    // Button event listeners
-    startBtn.addEventListener('click', startGame);
+    // Pause menu - Esc / P, and automatically whenever the game loses focus
+    window.addEventListener('keydown', onPauseKey);
+    document.addEventListener('visibilitychange', () => {
+        if (document.hidden) pauseGame();
+    });
+    window.addEventListener('blur', pauseGame);
+    resumeBtn.addEventListener('click', resumeGame);
+    pauseRestartBtn.addEventListener('click', () => {
+        closePauseMenu();
+        if (versusMode) {
+            startVersus();
+        } else {
+            startGame();
+        }
+    });
+    pauseSettingsBtn.addEventListener('click', openSettings);
+    pauseQuitBtn.addEventListener('click', quitToMenu);
+
+    // Button event listeners - Start plays without a ghost, restarts repeat the last race
+    startBtn.addEventListener('click', () => {
+        raceGhost = null;
+        dailyMode = false;
+        startGame();
+    });
+    dailyBtn.addEventListener('click', () => {
+        if (!profile.registered) return;
+        raceGhost = null;
+        dailyMode = true;
+        startGame();
+    });
+    raceBestBtn.addEventListener('click', racePersonalBest);
+    versusBtn.addEventListener('click', startVersus);
+    rematchBtn.addEventListener('click', startVersus);
+    winnerMenuBtn.addEventListener('click', quitToMenu);
+    onlineBtn.addEventListener('click', openLobby);
+    lobbyCreateBtn.addEventListener('click', createOnlineRoom);
+    lobbyJoinBtn.addEventListener('click', joinOnlineRoom);
+    lobbyStartBtn.addEventListener('click', requestOnlineStart);
+    lobbyLeaveBtn.addEventListener('click', leaveLobby);
     restartBtn.addEventListener('click', startGame);
     saveScoreBtn.addEventListener('click', saveScore);
 
+    // Replay controls
+    watchReplayBtn.addEventListener('click', () => startReplay(lastRun.replay));
+    downloadReplayBtn.addEventListener('click', downloadReplay);
+    replayFileInput.addEventListener('change', importReplayFile);
+    replayPlayBtn.addEventListener('click', toggleReplayPause);
+    replaySpeedBtn.addEventListener('click', toggleReplaySpeed);
+    replayExitBtn.addEventListener('click', exitReplay);
+    replayScrubber.addEventListener('input', () => seekReplay(Number(replayScrubber.value)));
+    leaderboardList.addEventListener('click', onLeaderboardClick);
+    gameOverLeaderboardList.addEventListener('click', onLeaderboardClick);
+
+    // Leaderboard time window tabs and paging
+    document.querySelectorAll('.leaderboard-tabs .leaderboard-tab[data-window]').forEach(tab => {
+        tab.addEventListener('click', () => setLeaderboardWindow(tab.dataset.window));
+    });
+    document.querySelectorAll('.show-more-btn').forEach(button => {
+        button.addEventListener('click', showMoreLeaderboard);
+    });
+
+    // Achievements - toasts as they unlock, the gallery from the start screen
+    onUnlock(onAchievementUnlocked);
+    achievementsBtn.addEventListener('click', () => achievementsScreen.classList.remove('hidden'));
+    achievementsCloseBtn.addEventListener('click', () => achievementsScreen.classList.add('hidden'));
+
+    // Player profile
+    profile = loadProfile();
+    profileNameInput.value = profile.name;
+    showProfileBtn.addEventListener('click', () => togglePanels('profile'));
+    showLeaderboardBtn.addEventListener('click', () => togglePanels('leaderboard'));
+    showDailyBtn.addEventListener('click', () => togglePanels('daily'));
+    profileSaveBtn.addEventListener('click', renameProfile);
+    initProfile();
+
+    // Daily challenge board, browsable by day
+    dailyPrevBtn.addEventListener('click', () => showDailyBoard(shiftDailyDate(dailyBoardDate, -1)));
+    dailyNextBtn.addEventListener('click', () => showDailyBoard(shiftDailyDate(dailyBoardDate, 1)));
+    dailyList.addEventListener('click', onLeaderboardClick);
+    dailyWinnersList.addEventListener('click', (e) => {
+        const button = e.target.closest('.daily-winner');
+        if (button) showDailyBoard(button.dataset.date);
+    });
+    dailyWinnersMoreBtn.addEventListener('click', () => loadDailyWinners({ append: true }));
+    showDailyBoard(dailyDate());
+    loadDailyWinners();
+
+    // Scores that failed to save are retried in the background
+    initScoreQueue({ send: sendQueuedScore, onQueueChange: renderQueuedScores, onRejected: showRejectedScore });
+
+    // Lets the game load and play offline
+    if ('serviceWorker' in navigator && import.meta.env.PROD) {
+        navigator.serviceWorker.register('/sw.js').catch(error => {
+            console.error('Service worker registration failed:', error);
+        });
+    }
+
     // Load and display leaderboard
     loadLeaderboard().then(() => {
         renderLeaderboard(leaderboardList);
@@ -131,100 +446,83 @@ function init() {
     });
 
     // Initial render
-    renderer.render(scene, camera);
+    renderer.render(scene, cameras[0]);
 }
 
-function loadPlayerModel() {
-    const mtlLoader = new MTLLoader();
-    mtlLoader.setPath('/assets/');
-
-    mtlLoader.load('Madara_Uchiha.mtl', (materials) => {
-        materials.preload();
-
-        // Fix material paths - they reference absolute Windows paths
-        Object.values(materials.materials).forEach(material => {
-            material.color = new THREE.Color(0xcc4444);
-            material.emissive = new THREE.Color(0x331111);
-            material.emissiveIntensity = 0.2;
-        });
+// Models load in the background; runs started before that use the capsule
+async function loadPlayerModel() {
+    const id = selectedCharacter;
+    playerModel = null;
+    playerModelStatus = 'loading';
+    renderLoadingStatus();
 
-        const objLoader = new OBJLoader();
-        objLoader.setMaterials(materials);
-        objLoader.setPath('/assets/');
+    try {
+        const model = await loadCharacterModel(id, PLAYER_HEIGHT);
+        if (id !== selectedCharacter) return;
+        playerModel = model;
+        playerModelStatus = 'ready';
+    } catch (error) {
+        if (id !== selectedCharacter) return;
+        console.error(`Error loading model for ${id}:`, error);
+        playerModelStatus = 'failed';
+    }
+    renderLoadingStatus();
+}
 
-        objLoader.load('Madara_Uchiha.obj', (object) => {
-            playerModel = object;
+// Progress bar on the start screen. Start stays disabled until the selected
+// character is ready; after a failure it is allowed again with the capsule
+// fallback, and Retry tries the download once more.
+function renderLoadingStatus() {
+    const { progress } = getAssetProgress();
+    const loading = playerModelStatus === 'loading';
+    const failed = playerModelStatus === 'failed';
+
+    startBtn.disabled = loading;
+    versusBtn.disabled = loading;
+    onlineBtn.disabled = loading;
+    loadingStatusElement.classList.toggle('hidden', !loading && !failed);
+    loadingStatusElement.classList.toggle('failed', failed);
+    loadingBarFill.style.width = `${Math.round((failed ? 1 : progress) * 100)}%`;
+    loadingTextElement.textContent = failed
+        ? t('loading.failed')
+        : t('loading.progress', { percent: formatNumber(Math.floor(progress * 100)) });
+    loadingRetryBtn.classList.toggle('hidden', !failed);
+    renderDailyInfo();
+}
 
-            // Calculate bounding box to scale properly
-            const box = new THREE.Box3().setFromObject(object);
-            const size = box.getSize(new THREE.Vector3());
-            const maxDim = Math.max(size.x, size.y, size.z);
-            const scale = PLAYER_HEIGHT / maxDim;
+function loadSelectedCharacter() {
+    const stored = localStorage.getItem(CHARACTER_KEY);
+    return Object.hasOwn(CHARACTERS, stored) ? stored : DEFAULT_CHARACTER;
+}
 
-            playerModel.scale.set(scale, scale, scale);
+// Step through all characters; unlocked ones become the selection right away
+function browseCharacters(direction) {
+    const ids = Object.keys(CHARACTERS);
+    const index = (ids.indexOf(previewCharacterId) + direction + ids.length) % ids.length;
+    previewCharacterId = ids[index];
 
-            // Center the model
-            const center = box.getCenter(new THREE.Vector3());
-            playerModel.position.sub(center.multiplyScalar(scale));
+    if (isCharacterUnlocked(previewCharacterId, profileStats)) {
+        selectedCharacter = previewCharacterId;
+        localStorage.setItem(CHARACTER_KEY, selectedCharacter);
+        loadPlayerModel();
+    }
+    renderCharacterPicker();
+}
 
-            // Apply shadow settings
-            playerModel.traverse((child) => {
-                if (child instanceof THREE.Mesh) {
-                    child.castShadow = true;
-                    child.receiveShadow = true;
-                }
-            });
-
-            console.log('Madara model loaded successfully');
-        },
-        (xhr) => {
-            console.log((xhr.loaded / xhr.total * 100) + '% loaded');
-        },
-        (error) => {
-            console.error('Error loading OBJ:', error);
-            playerModel = null;
-        });
-    },
-    (xhr) => {
-        console.log('MTL ' + (xhr.loaded / xhr.total * 100) + '% loaded');
-    },
-    (error) => {
-        console.error('Error loading MTL, loading OBJ without materials:', error);
-
-        // Load OBJ without materials
-        const objLoader = new OBJLoader();
-        objLoader.setPath('/assets/');
-
-        objLoader.load('Madara_Uchiha.obj', (object) => {
-            playerModel = object;
-
-            // Apply default material
-            const material = new THREE.MeshStandardMaterial({
-                color: 0xcc4444,
-                emissive: 0x331111,
-                emissiveIntensity: 0.2,
-                metalness: 0.3,
-                roughness: 0.7
-            });
-
-            object.traverse((child) => {
-                if (child instanceof THREE.Mesh) {
-                    child.material = material;
-                    child.castShadow = true;
-                    child.receiveShadow = true;
-                }
-            });
+async function renderCharacterPicker() {
+    const id = previewCharacterId;
+    const { unlock } = CHARACTERS[id];
+    const locked = !isCharacterUnlocked(id, profileStats);
 
-            // Scale
-            const box = new THREE.Box3().setFromObject(object);
-            const size = box.getSize(new THREE.Vector3());
-            const maxDim = Math.max(size.x, size.y, size.z);
-            const scale = PLAYER_HEIGHT / maxDim;
-            playerModel.scale.set(scale, scale, scale);
+    characterNameElement.textContent = t(`character.${id}`);
+    characterLockElement.textContent = locked ? t(`character.unlock.${unlock.stat}`, { value: formatNumber(unlock.value) }) : '';
+    characterLockElement.classList.toggle('hidden', !locked);
 
-            console.log('Madara model loaded (without textures)');
-        });
-    });
+    // A model that failed to load is previewed as the capsule the run would use
+    const model = await loadCharacterModel(id, PLAYER_HEIGHT).catch(() => null);
+    if (id === previewCharacterId) {
+        characterPreview.show(createCharacterObject(id, model), { locked });
+    }
 }
 
 function createBackgroundParticles() {
@@ -260,38 +558,15 @@ function createBackgroundParticles() {
     scene.add(particles);
 }
 
-function createPlayer() {
+function createPlayer(runner) {
     // Create player container
-    player = new THREE.Group();
+    const player = new THREE.Group();
     player.position.set(0, 2, 0);
 
-    if (playerModel) {
-        // Clone the preloaded model
-        const modelClone = playerModel.clone();
-        modelClone.rotation.y = Math.PI; // Face camera
-        player.add(modelClone);
-    } else {
-        // Fallback: create a simple character shape
-        const bodyGeometry = new THREE.CapsuleGeometry(0.3, 0.8, 8, 16);
-        const bodyMaterial = new THREE.MeshStandardMaterial({
-            color: 0xcc4444,
-            emissive: 0x331111,
-            emissiveIntensity: 0.3,
-            metalness: 0.4,
-            roughness: 0.6
-        });
-        const body = new THREE.Mesh(bodyGeometry, bodyMaterial);
-        body.castShadow = true;
-        body.receiveShadow = true;
-        player.add(body);
-
-        // Head
-        const headGeometry = new THREE.SphereGeometry(0.25, 16, 16);
-        const head = new THREE.Mesh(headGeometry, bodyMaterial);
-        head.position.y = 0.7;
-        head.castShadow = true;
-        player.add(head);
-    }
+    // Selected character, or its capsule until the model has loaded; the versus rival is a capsule
+    player.add(runner.index === 0
+        ? createCharacterObject(selectedCharacter, playerModel)
+        : createCapsuleModel(VERSUS_RIVAL_TINT));
 
     // Add glow effect underneath
     const glowGeometry = new THREE.CircleGeometry(0.5, 32);
@@ -307,26 +582,53 @@ function createPlayer() {
     glow.name = 'playerGlow';
     player.add(glow);
 
+    // Shield bubble, shown while a shield power-up is held
+    const shieldGeometry = new THREE.SphereGeometry(PLAYER_HEIGHT * 0.7, 24, 16);
+    const shieldMaterial = new THREE.MeshBasicMaterial({
+        color: COLLECTIBLE_TYPES.shield.color,
+        transparent: true,
+        opacity: 0.15,
+        depthWrite: false
+    });
+    const shieldBubble = new THREE.Mesh(shieldGeometry, shieldMaterial);
+    shieldBubble.name = 'shieldBubble';
+    shieldBubble.visible = false;
+    player.add(shieldBubble);
+
     scene.add(player);
+    runner.object = player;
 }
 
-function createPlatform(x, y, z, isStartPlatform = false) {
-    const width = isStartPlatform ? PLATFORM_WIDTH * 1.8 : PLATFORM_WIDTH;
+function createPlatform(x, y, z, isStartPlatform = false, type = 'static') {
+    const typeConfig = PLATFORM_TYPES[type];
+    const width = isStartPlatform ? START_PLATFORM_WIDTH : sampleCurve(difficulty.platformWidth, y);
     const geometry = new THREE.BoxGeometry(width, PLATFORM_HEIGHT, PLATFORM_DEPTH);
 
-    // Color based on height - gradient from cyan to purple
-    const hue = (y / 80) % 1;
+    // Special platforms have their own colour, normal ones a gradient from cyan to purple by height
     const color = new THREE.Color();
-    color.setHSL(0.5 + hue * 0.4, 0.8, 0.45);
+    if (typeConfig.color !== undefined) {
+        color.set(typeConfig.color);
+    } else {
+        const hue = (y / 80) % 1;
+        color.setHSL(0.5 + hue * 0.4, 0.8, 0.45);
+    }
 
     const material = new THREE.MeshStandardMaterial({
         color: color,
         metalness: 0.4,
         roughness: 0.6,
         emissive: color,
-        emissiveIntensity: 0.1
+        emissiveIntensity: type === 'static' ? 0.1 : 0.3,
+        transparent: type === 'delayed' || type === 'crumbling',
+        opacity: type === 'delayed' ? 0.25 : 1
     });
 
+    // Moving platforms keep their whole swing inside the playable range
+    if (type === 'moving') {
+        const maxBaseX = HORIZONTAL_RANGE - typeConfig.amplitude;
+        x = Math.max(-maxBaseX, Math.min(maxBaseX, x));
+    }
+
     const platform = new THREE.Mesh(geometry, material);
     platform.position.set(x, y, z);
     platform.castShadow = true;
@@ -336,7 +638,11 @@ function createPlatform(x, y, z, isStartPlatform = false) {
     platform.userData = {
         width: width,
         height: PLATFORM_HEIGHT,
-        depth: PLATFORM_DEPTH
+        depth: PLATFORM_DEPTH,
+        type: type,
+        baseX: x,
+        solid: type !== 'delayed',
+        timer: null // Crumble countdown after landing, or materialize countdown for delayed platforms
     };
 
     scene.add(platform);
@@ -345,7 +651,7 @@ function createPlatform(x, y, z, isStartPlatform = false) {
     // Add glowing edge
     const edgeGeometry = new THREE.EdgesGeometry(geometry);
     const edgeMaterial = new THREE.LineBasicMaterial({
-        color: 0x00ffaa,
+        color: typeConfig.edgeColor ?? 0x00ffaa,
         transparent: true,
         opacity: 0.6
     });
@@ -369,23 +675,38 @@ function createPlatform(x, y, z, isStartPlatform = false) {
 }
 
 function generatePlatforms() {
-    // Clear existing platforms
+    // Clear existing platforms and items
     platforms.forEach(p => scene.remove(p));
     platforms = [];
+    collectibles.forEach(c => scene.remove(c));
+    collectibles = [];
+    effects.forEach(e => scene.remove(e));
+    effects = [];
 
     // Create starting platform (larger)
     createPlatform(0, 0, 0, true);
 
     // Generate platforms going up
-    let currentY = PLATFORM_SPACING_MIN;
+    let currentY = sampleCurve(difficulty.spacingMin, 0);
     for (let i = 0; i < INITIAL_PLATFORMS; i++) {
-        const x = (Math.random() - 0.5) * HORIZONTAL_RANGE * 2;
-        const spacing = PLATFORM_SPACING_MIN + Math.random() * (PLATFORM_SPACING_MAX - PLATFORM_SPACING_MIN);
-        createPlatform(x, currentY, 0);
+        const x = (random() - 0.5) * HORIZONTAL_RANGE * 2;
+        const spacing = platformSpacing(currentY);
+        const platform = createPlatform(x, currentY, 0, false, platformTypeAt(currentY));
+        spawnCollectible(platform);
         currentY += spacing;
     }
 }
 
+function platformSpacing(y) {
+    const min = sampleCurve(difficulty.spacingMin, y);
+    const max = sampleCurve(difficulty.spacingMax, y);
+    return min + random() * (max - min);
+}
+
+function platformTypeAt(y) {
+    return pickPlatformType(y, random, sampleCurve(difficulty.specialChance, y));
+}
+
 function addNewPlatforms() {
     // Get highest platform
     let highestY = 0;
@@ -393,17 +714,17 @@ function addNewPlatforms() {
         if (p.position.y > highestY) highestY = p.position.y;
     });
 
-    // Add new platforms above camera view
-    const targetHeight = camera.position.y + 40;
+    // Add new platforms above the highest camera view
+    const targetHeight = highestCameraY() + 40;
     while (highestY < targetHeight) {
-        const x = (Math.random() - 0.5) * HORIZONTAL_RANGE * 2;
-        const spacing = PLATFORM_SPACING_MIN + Math.random() * (PLATFORM_SPACING_MAX - PLATFORM_SPACING_MIN);
-        highestY += spacing;
-        createPlatform(x, highestY, 0);
+        const x = (random() - 0.5) * HORIZONTAL_RANGE * 2;
+        highestY += platformSpacing(highestY);
+        const platform = createPlatform(x, highestY, 0, false, platformTypeAt(highestY));
+        spawnCollectible(platform);
     }
 
-    // Remove platforms far below camera
-    const removeThreshold = camera.position.y - 15;
+    // Remove platforms far below the lowest camera
+    const removeThreshold = lowestCameraY() - 15;
     platforms = platforms.filter(p => {
         if (p.position.y < removeThreshold) {
             scene.remove(p);
@@ -411,9 +732,254 @@ function addNewPlatforms() {
         }
         return true;
     });
+    collectibles = collectibles.filter(c => {
+        if (c.position.y < removeThreshold) {
+            scene.remove(c);
+            return false;
+        }
+        return true;
+    });
+}
+
+// Maybe place an item above a freshly generated platform
+function spawnCollectible(platform) {
+    const type = pickCollectibleType(random);
+    // Items would hang in the air next to a moving platform
+    if (!type || platform.userData.type === 'moving') return;
+
+    const config = COLLECTIBLE_TYPES[type];
+    let geometry;
+    if (type === 'coin') {
+        geometry = new THREE.CylinderGeometry(0.3, 0.3, 0.08, 20);
+        geometry.rotateX(Math.PI / 2);
+    } else if (type === 'doubleJump') {
+        geometry = new THREE.OctahedronGeometry(0.3);
+    } else if (type === 'slowMo') {
+        geometry = new THREE.TorusGeometry(0.25, 0.08, 8, 20);
+    } else {
+        geometry = new THREE.IcosahedronGeometry(0.32);
+    }
+
+    const material = new THREE.MeshStandardMaterial({
+        color: config.color,
+        emissive: config.color,
+        emissiveIntensity: 0.5,
+        metalness: 0.6,
+        roughness: 0.3,
+        wireframe: type === 'shield'
+    });
+
+    const item = new THREE.Mesh(geometry, material);
+    item.position.set(
+        platform.position.x,
+        platform.position.y + platform.userData.height / 2 + COLLECTIBLE_OFFSET_Y,
+        platform.position.z
+    );
+    item.castShadow = true;
+    item.userData = { type, baseY: item.position.y };
+
+    scene.add(item);
+    collectibles.push(item);
+}
+
+function updateCollectibles() {
+    collectibles = collectibles.filter(item => {
+        // Spin and bob
+        item.rotation.y += 0.05;
+        item.position.y = item.userData.baseY + Math.sin(tick * 0.08 + item.userData.baseY) * 0.1;
+
+        // Whoever reaches an item first takes it
+        const collector = runners.find(runner => {
+            const dx = item.position.x - runner.object.position.x;
+            const dy = item.position.y - runner.object.position.y;
+            return dx * dx + dy * dy < PICKUP_RADIUS * PICKUP_RADIUS;
+        });
+        if (collector) {
+            collectItem(collector, item.userData.type, item.position);
+            scene.remove(item);
+            return false;
+        }
+        return true;
+    });
+
+    for (const runner of runners) {
+        if (runner.slowMoTicks > 0) {
+            runner.slowMoTicks--;
+            if (runner.slowMoTicks === 0) updatePowerUpHud(runner);
+        }
+    }
+}
+
+function collectItem(runner, type, position) {
+    const config = COLLECTIBLE_TYPES[type];
+
+    if (type === 'coin') {
+        runner.coinsCollected++;
+        runner.bonusScore += config.value;
+    } else if (type === 'doubleJump') {
+        runner.doubleJumpCharges = Math.min(runner.doubleJumpCharges + 1, config.maxCharges);
+    } else if (type === 'slowMo') {
+        runner.slowMoTicks = config.duration;
+    } else if (type === 'shield') {
+        runner.hasShield = true;
+    }
+
+    spawnPickupEffect(position, config.color);
+    updatePowerUpHud(runner, type);
+}
+
+function spawnPickupEffect(position, color) {
+    const count = 24;
+    const positions = new Float32Array(count * 3);
+    const directions = [];
+    for (let i = 0; i < count; i++) {
+        positions[i * 3] = position.x;
+        positions[i * 3 + 1] = position.y;
+        positions[i * 3 + 2] = position.z;
+        const angle = (i / count) * Math.PI * 2;
+        directions.push(Math.cos(angle) * 0.08, Math.sin(angle) * 0.08, (i % 2 ? 1 : -1) * 0.03);
+    }
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    const material = new THREE.PointsMaterial({
+        color,
+        size: 0.18,
+        transparent: true,
+        opacity: 1
+    });
+
+    const burst = new THREE.Points(geometry, material);
+    burst.userData = { directions, life: 30 };
+    scene.add(burst);
+    effects.push(burst);
+}
+
+function updateEffects() {
+    effects = effects.filter(burst => {
+        const positions = burst.geometry.attributes.position;
+        const { directions } = burst.userData;
+        for (let i = 0; i < positions.count; i++) {
+            positions.setXYZ(
+                i,
+                positions.getX(i) + directions[i * 3],
+                positions.getY(i) + directions[i * 3 + 1],
+                positions.getZ(i) + directions[i * 3 + 2]
+            );
+        }
+        positions.needsUpdate = true;
+
+        burst.userData.life--;
+        burst.material.opacity = burst.userData.life / 30;
+        if (burst.userData.life <= 0) {
+            scene.remove(burst);
+            burst.geometry.dispose();
+            burst.material.dispose();
+            return false;
+        }
+        return true;
+    });
+}
+
+// Refresh a runner's power-up indicators; `pulsed` briefly highlights one of them
+function updatePowerUpHud(runner, pulsed = null) {
+    const shieldBubble = runner.object && runner.object.getObjectByName('shieldBubble');
+    if (shieldBubble) {
+        shieldBubble.visible = runner.hasShield;
+    }
+
+    if (versusMode) {
+        updateVersusHud(runner);
+        return;
+    }
+
+    hudCoins.textContent = t('hud.coins', { count: formatNumber(runner.coinsCollected) });
+    hudDoubleJump.textContent = t('hud.doubleJump', { count: runner.doubleJumpCharges });
+    hudDoubleJump.classList.toggle('hidden', runner.doubleJumpCharges === 0);
+    hudSlowMo.classList.toggle('hidden', runner.slowMoTicks === 0);
+    hudShield.classList.toggle('hidden', !runner.hasShield);
+
+    const pulsedElement = {
+        coin: hudCoins,
+        doubleJump: hudDoubleJump,
+        slowMo: hudSlowMo,
+        shield: hudShield
+    }[pulsed];
+    if (pulsedElement) {
+        pulsedElement.classList.remove('pulse');
+        void pulsedElement.offsetWidth; // Restart the animation
+        pulsedElement.classList.add('pulse');
+    }
+}
+
+function updateScoreHud(runner) {
+    if (versusMode) {
+        updateVersusHud(runner);
+    } else {
+        scoreElement.textContent = t('hud.score', { score: formatNumber(runner.score) });
+    }
+}
+
+// Versus players each get one line over their half of the screen
+function updateVersusHud(runner) {
+    const items = [
+        t('versus.player', { player: runner.index + 1 }),
+        t('hud.score', { score: formatNumber(runner.score) })
+    ];
+    if (runner.doubleJumpCharges > 0) items.push(t('hud.doubleJump', { count: runner.doubleJumpCharges }));
+    if (runner.slowMoTicks > 0) items.push(t('hud.slowMo'));
+    if (runner.hasShield) items.push(t('hud.shield'));
+    versusStatsElements[runner.index].textContent = items.join(' | ');
+}
+
+// Per-tick behaviour of special platforms
+function updatePlatforms() {
+    for (const platform of platforms) {
+        const data = platform.userData;
+        const config = PLATFORM_TYPES[data.type];
+
+        if (data.type === 'moving') {
+            const previousX = platform.position.x;
+            platform.position.x = data.baseX + Math.sin(platform.position.y + tick * config.speed) * config.amplitude;
+
+            // Carry anyone standing on it along
+            for (const runner of runners) {
+                if (runner.isOnGround && runner.groundPlatform === platform) {
+                    runner.object.position.x += platform.position.x - previousX;
+                }
+            }
+        } else if (data.type === 'crumbling' && data.timer !== null) {
+            data.timer++;
+            if (data.timer < config.crumbleDelay) {
+                // Shake as a warning
+                platform.position.x = data.baseX + Math.sin(data.timer * 1.7) * 0.05;
+            } else {
+                data.solid = false;
+                platform.position.y -= config.fallSpeed;
+                platform.material.opacity = Math.max(0, platform.material.opacity - 0.05);
+            }
+        } else if (data.type === 'bouncy' && platform.scale.y < 1) {
+            // Spring back after a bounce
+            platform.scale.y = Math.min(1, platform.scale.y + 0.05);
+        } else if (data.type === 'delayed' && !data.solid) {
+            if (data.timer === null && platform.position.y < highestCameraY() + config.triggerDistance) {
+                data.timer = 0;
+            }
+            if (data.timer !== null) {
+                data.timer++;
+                const progress = data.timer / config.solidDelay;
+                platform.material.opacity = 0.25 + progress * 0.75;
+                if (data.timer >= config.solidDelay) {
+                    data.solid = true;
+                    platform.material.opacity = 1;
+                }
+            }
+        }
+    }
 }
 
-function checkCollisions() {
+function checkCollisions(runner) {
+    const { object: player, velocity } = runner;
     if (velocity.y > 0) return; // Only check when falling
 
     const playerBottom = player.position.y - PLAYER_HEIGHT / 2;
@@ -422,9 +988,13 @@ function checkCollisions() {
     const playerFront = player.position.z - PLAYER_WIDTH / 2;
     const playerBack = player.position.z + PLAYER_WIDTH / 2;
 
-    isOnGround = false;
+    const wasOnGround = runner.isOnGround;
+    runner.isOnGround = false;
+    runner.groundPlatform = null;
 
     for (const platform of platforms) {
+        if (!platform.userData.solid) continue;
+
         const platTop = platform.position.y + platform.userData.height / 2;
         const platBottom = platform.position.y - platform.userData.height / 2;
         const platLeft = platform.position.x - platform.userData.width / 2;
@@ -440,7 +1010,32 @@ function checkCollisions() {
             // Land on platform
             player.position.y = platTop + PLAYER_HEIGHT / 2;
             velocity.y = 0;
-            isOnGround = true;
+            runner.isOnGround = true;
+            runner.groundPlatform = platform;
+
+            if (platform.userData.type === 'bouncy') {
+                // Launch straight back up
+                velocity.y = PLATFORM_TYPES.bouncy.bounceForce;
+                runner.isOnGround = false;
+                runner.groundPlatform = null;
+                platform.scale.y = 0.5;
+                playEffect('bounce');
+            } else {
+                if (platform.userData.type === 'crumbling' && platform.userData.timer === null) {
+                    platform.userData.timer = 0;
+                }
+                if (!wasOnGround) {
+                    playEffect('land');
+                }
+            }
+            if (!wasOnGround) {
+                statsRecorder?.recordLanding();
+                reportAchievement('landing');
+                if (runner.nearMiss) {
+                    runner.nearMiss = false;
+                    reportAchievement('nearMiss');
+                }
+            }
 
             // Add landing effect
             const glow = player.getObjectByName('playerGlow');
@@ -452,43 +1047,156 @@ function checkCollisions() {
     }
 }
 
-function updatePlayer(deltaTime) {
+function openSettings() {
+    renderBindings();
+    settingsScreen.classList.remove('hidden');
+}
+
+function closeSettings() {
+    settingsScreen.classList.add('hidden');
+}
+
+function renderBindings() {
+    const bindings = getBindings();
+    const rows = ACTIONS.map(action => {
+        const keyCells = [];
+        for (let slot = 0; slot < KEYBOARD_SLOTS; slot++) {
+            keyCells.push(`<td><button class="binding-btn" data-action="${action}" data-device="keyboard" data-slot="${slot}">${escapeHtml(formatBinding('keyboard', bindings.keyboard[action][slot]))}</button></td>`);
+        }
+        return `
+            <tr>
+                <th>${t(`action.${action}`)}</th>
+                ${keyCells.join('')}
+                <td><button class="binding-btn" data-action="${action}" data-device="gamepad" data-slot="0">${formatBinding('gamepad', bindings.gamepad[action][0])}</button></td>
+            </tr>
+        `;
+    });
+    bindingsTable.querySelector('tbody').innerHTML = rows.join('');
+}
+
+async function onBindingClick(e) {
+    const button = e.target.closest('.binding-btn');
+    if (!button) return;
+
+    const { action, device, slot } = button.dataset;
+    button.textContent = t(device === 'gamepad' ? 'settings.pressButton' : 'settings.pressKey');
+    button.classList.add('capturing');
+
+    const binding = await captureNextBinding();
+    if (binding && binding.device === device) {
+        setBinding(action, binding, Number(slot));
+    }
+    renderBindings();
+}
+
+// Input for the current tick - live keyboard, or the recorded tick in replay mode
+function readInput(runner) {
+    if (activeReplay) {
+        return decodeInput(activeReplay.inputs[tick] || 0);
+    }
+    return versusMode ? readPlayerInput(runner.index) : pollInput();
+}
+
+function updatePlayer(runner, deltaTime) {
     if (!gameRunning) return;
 
-    // Responsive horizontal movement - minimal sliding
-    if (keys['KeyA'] || keys['ArrowLeft']) {
-        velocity.x = -MAX_MOVE_SPEED;
-    } else if (keys['KeyD'] || keys['ArrowRight']) {
-        velocity.x = MAX_MOVE_SPEED;
+    const { object: player, velocity } = runner;
+    const input = readInput(runner);
+    if (inputRecorder) {
+        inputRecorder.record(input);
+    }
+
+    // Horizontal movement - snappy on the ground, accelerating in the air
+    const direction = (input.right ? 1 : 0) - (input.left ? 1 : 0);
+    if (direction !== 0) {
+        const targetSpeed = direction * PLAYER_PHYSICS.maxMoveSpeed;
+        if (runner.isOnGround) {
+            velocity.x = targetSpeed;
+        } else {
+            velocity.x += (targetSpeed - velocity.x) * PLAYER_PHYSICS.moveAcceleration;
+        }
     } else {
         // Quick stop with high friction
-        velocity.x *= isOnGround ? FRICTION : AIR_FRICTION;
+        velocity.x *= runner.isOnGround ? PLAYER_PHYSICS.friction : PLAYER_PHYSICS.airFriction;
         // Stop completely if very slow
         if (Math.abs(velocity.x) < 0.01) velocity.x = 0;
     }
 
-    // Jump
-    if ((keys['Space'] || keys['KeyW'] || keys['ArrowUp']) && isOnGround) {
-        velocity.y = JUMP_FORCE;
-        isOnGround = false;
+    // Coyote time and jump buffer bookkeeping
+    const jumpPressed = input.jump && !runner.jumpWasHeld;
+    runner.jumpWasHeld = input.jump;
+    if (jumpPressed) {
+        runner.jumpBufferTimer = PLAYER_PHYSICS.jumpBufferTicks;
+    } else if (runner.jumpBufferTimer > 0) {
+        runner.jumpBufferTimer--;
+    }
+    if (runner.isOnGround) {
+        runner.coyoteTimer = PLAYER_PHYSICS.coyoteTicks;
+    } else if (runner.coyoteTimer > 0) {
+        runner.coyoteTimer--;
+    }
+
+    // Jump - from the ground (or just after leaving it), or a fresh press in
+    // mid-air using a double-jump charge. Holding the button keeps hopping.
+    if ((input.jump || runner.jumpBufferTimer > 0) && runner.coyoteTimer > 0) {
+        velocity.y = PLAYER_PHYSICS.jumpForce;
+        runner.isOnGround = false;
+        runner.isJumping = true;
+        runner.coyoteTimer = 0;
+        runner.jumpBufferTimer = 0;
+        playEffect('jump');
+        statsRecorder?.recordJump();
+        reportAchievement('jump');
+    } else if (jumpPressed && runner.doubleJumpCharges > 0) {
+        velocity.y = PLAYER_PHYSICS.jumpForce;
+        runner.isJumping = true;
+        runner.jumpBufferTimer = 0;
+        runner.doubleJumpCharges--;
+        updatePowerUpHud(runner);
+        playEffect('jump');
+        statsRecorder?.recordJump();
+        reportAchievement('jump');
+    }
+
+    // Variable jump height - letting go early cuts the rise short
+    if (runner.isJumping && !input.jump && velocity.y > 0) {
+        velocity.y *= PLAYER_PHYSICS.jumpCutMultiplier;
+        runner.isJumping = false;
     }
 
     // Apply gravity
-    velocity.y += GRAVITY;
+    velocity.y += PLAYER_PHYSICS.gravity;
+    if (velocity.y <= 0) {
+        runner.isJumping = false;
+    }
 
     // Terminal velocity
-    velocity.y = Math.max(velocity.y, -0.5);
+    velocity.y = Math.max(velocity.y, PLAYER_PHYSICS.terminalVelocity);
 
     // Update position with smooth interpolation
     player.position.x += velocity.x;
     player.position.y += velocity.y;
 
+    runner.maxHeight = Math.max(runner.maxHeight, player.position.y);
+
     // Clamp horizontal position
     const maxX = HORIZONTAL_RANGE + 2;
     player.position.x = Math.max(-maxX, Math.min(maxX, player.position.x));
 
     // Check collisions
-    checkCollisions();
+    checkCollisions(runner);
+
+    if (ghostRecorder) {
+        ghostRecorder.record(player.position);
+    }
+    if (statsRecorder) {
+        statsRecorder.recordTick({
+            height: player.position.y,
+            clearance: player.position.y - (runner.camera.position.y - DEATH_LINE_OFFSET),
+            scrollSpeed: runner.scrollSpeed,
+            airborne: !runner.isOnGround
+        });
+    }
 
     // Smooth player rotation based on velocity
     const targetRotationZ = -velocity.x * 0.8;
@@ -496,9 +1204,9 @@ function updatePlayer(deltaTime) {
     player.rotation.z += (targetRotationZ - player.rotation.z) * 0.1;
     player.rotation.x += (targetRotationX - player.rotation.x) * 0.1;
 
-    // Update score based on camera height (which always goes up)
-    score = Math.floor(camera.position.y * 10);
-    scoreElement.textContent = `Score: ${score}`;
+    // Update score based on camera height (which always goes up) plus collected coins
+    runner.score = Math.floor(runner.camera.position.y * 10) + runner.bonusScore;
+    updateScoreHud(runner);
 
     // Fade glow effect
     const glow = player.getObjectByName('playerGlow');
@@ -506,205 +1214,1789 @@ function updatePlayer(deltaTime) {
         glow.material.opacity -= 0.02;
     }
 
-    // Check game over - player fell below camera view
-    const deathLine = camera.position.y - 8;
+    // Check game over - player fell below their camera's view
+    const deathLine = runner.camera.position.y - DEATH_LINE_OFFSET;
+    if (player.position.y < deathLine + NEAR_MISS_MARGIN) {
+        runner.nearMiss = true;
+    }
     if (player.position.y < deathLine && !gameOverTriggered) {
-        gameOver();
+        if (runner.hasShield) {
+            // The shield breaks and throws the player back into view - no escape of our own
+            runner.hasShield = false;
+            runner.nearMiss = false;
+            player.position.y = deathLine + 2;
+            velocity.y = PLAYER_PHYSICS.jumpForce * 1.2;
+            spawnPickupEffect(player.position, COLLECTIBLE_TYPES.shield.color);
+            updatePowerUpHud(runner);
+        } else if (versusMode) {
+            // The race is decided once every runner has moved this tick
+            runner.fell = true;
+        } else {
+            gameOver();
+        }
     }
 }
 
-function updateCamera(deltaTime) {
+function updateCamera(runner, deltaTime) {
     // Camera moves constantly upward - this is the main challenge!
-    // Speed increases gradually over time
-    cameraScrollSpeed = Math.min(
-        CAMERA_SCROLL_SPEED_INITIAL + gameTime * CAMERA_SCROLL_SPEED_INCREMENT,
-        CAMERA_SCROLL_SPEED_MAX
-    );
+    // Speed increases with height along the difficulty curve
+    const { camera } = runner;
+    runner.scrollSpeed = sampleCurve(difficulty.scrollSpeed, camera.position.y);
 
-    camera.position.y += cameraScrollSpeed;
+    const slowFactor = runner.slowMoTicks > 0 ? COLLECTIBLE_TYPES.slowMo.speedFactor : 1;
+    camera.position.y += runner.scrollSpeed * slowFactor;
     camera.lookAt(0, camera.position.y - 1, 0);
+}
+
+// Scenery shared by all cameras follows the middle of them
+function updateSceneFollow() {
+    setMusicIntensity(Math.max(...runners.map(runner => runner.scrollSpeed)));
+    const followY = (highestCameraY() + lowestCameraY()) / 2;
 
     // Update background particles position
     const particles = scene.getObjectByName('backgroundParticles');
     if (particles) {
-        particles.position.y = camera.position.y - 20;
+        particles.position.y = followY - 20;
     }
 
     // Update lights to follow camera
     scene.children.forEach(child => {
         if (child instanceof THREE.DirectionalLight) {
-            child.position.y = camera.position.y + 20;
-            child.target.position.y = camera.position.y;
+            child.position.y = followY + 20;
+            child.target.position.y = followY;
         }
         if (child instanceof THREE.PointLight) {
-            child.position.y = camera.position.y + (child.position.x < 0 ? 5 : 10);
+            child.position.y = followY + (child.position.x < 0 ? 5 : 10);
         }
     });
 }
 
-function startGame() {
-    // Reset game state
-    score = 0;
-    velocity = { x: 0, y: 0 };
-    isOnGround = false;
+function highestCameraY() {
+    return Math.max(...runners.map(runner => runner.camera.position.y));
+}
+
+function lowestCameraY() {
+    return Math.min(...runners.map(runner => runner.camera.position.y));
+}
+
+// Everything one climber owns - the single player, or each side in versus mode
+function createRunner(index) {
+    return {
+        index,
+        object: null, // Scene group, created by createPlayer()
+        camera: cameras[index],
+        velocity: { x: 0, y: 0 },
+        isOnGround: false,
+        groundPlatform: null, // Platform the runner is standing on
+        score: 0,
+        scrollSpeed: 0,
+        maxHeight: 0, // Highest point reached this run
+        bonusScore: 0, // Score from collectibles, on top of the height score
+        coinsCollected: 0,
+        doubleJumpCharges: 0,
+        slowMoTicks: 0,
+        hasShield: false,
+        jumpWasHeld: false, // Mid-air jumps need a fresh press
+        coyoteTimer: 0, // Ticks left in which a ground jump is still allowed
+        jumpBufferTimer: 0, // Ticks left in which a buffered jump press fires on landing
+        isJumping: false, // Rising from our own jump, so releasing the button cuts it short
+        fell: false, // Dropped below the death line in versus mode
+        nearMiss: false, // Dipped close to the death line since the last landing
+        previous: { x: 0, y: 0, cameraY: 0 } // State at the start of the tick, for interpolation
+    };
+}
+
+// Put the world back to tick 0 of a run on the given layout seed and difficulty
+function resetRun(seed, difficultyName, runnerCount = 1) {
     gameOverTriggered = false;
-    cameraScrollSpeed = CAMERA_SCROLL_SPEED_INITIAL;
-    gameTime = 0;
-    keys = {};
+    tick = 0;
 
-    // Reset UI
-    scoreElement.textContent = 'Score: 0';
-    startScreen.classList.add('hidden');
-    gameOverScreen.classList.add('hidden');
+    currentSeed = seed;
+    random = createRandom(currentSeed);
+    currentDifficulty = difficultyName;
+    difficulty = DIFFICULTIES[difficultyName];
 
     // Clear and regenerate
-    if (player) scene.remove(player);
+    runners.forEach(runner => scene.remove(runner.object));
+    removeGhost();
+    removeRemotePlayers();
     generatePlatforms();
-    createPlayer();
+    runners = Array.from({ length: runnerCount }, (_, index) => createRunner(index));
+    hudElement.classList.toggle('hidden', versusMode);
+    versusHud.classList.toggle('hidden', !versusMode);
+    updateOnlineHud();
+    updateViewports();
+
+    for (const runner of runners) {
+        createPlayer(runner);
+        updateScoreHud(runner);
+        updatePowerUpHud(runner);
+
+        // Reset camera
+        runner.camera.position.set(0, CAMERA_START_Y, 14);
+        runner.scrollSpeed = sampleCurve(difficulty.scrollSpeed, runner.camera.position.y);
+        savePreviousState(runner);
+    }
 
-    // Reset camera
-    camera.position.set(0, 5, 14);
+    startAchievementRun();
+    accumulator = 0;
+}
 
+function startLoop() {
+    cancelAnimationFrame(animationFrameId);
     gameRunning = true;
     lastTime = performance.now();
-    animate();
+    animationFrameId = requestAnimationFrame(animate);
+    startMusic();
 }
 
-async function gameOver() {
-    gameOverTriggered = true;
-    gameRunning = false;
-
-    finalScoreElement.textContent = score;
+function onPauseKey(e) {
+    if (e.code !== 'Escape' && e.code !== 'KeyP') return;
+    // Escape belongs to the settings screen while it is open (cancels rebinding)
+    if (e.repeat || !settingsScreen.classList.contains('hidden')) return;
 
-    // Reload leaderboard to get latest data
-    await loadLeaderboard();
-
-    // Check if score qualifies for leaderboard (always allow saving if score > 0)
-    const qualifies = cachedLeaderboard.length < MAX_LEADERBOARD_ENTRIES ||
-                      score > (cachedLeaderboard[cachedLeaderboard.length - 1]?.score || 0);
-
-    if (qualifies && score > 0) {
-        newHighScoreDiv.classList.remove('hidden');
-        saveScoreBtn.classList.remove('hidden');
-        saveScoreBtn.disabled = false;
-        saveScoreBtn.textContent = 'Ulozit skore';
-        playerNameInput.value = '';
-        playerNameInput.focus();
+    if (isPaused && countdownTimer === null) {
+        resumeGame();
     } else {
-        newHighScoreDiv.classList.add('hidden');
-        saveScoreBtn.classList.add('hidden');
+        pauseGame();
     }
-
-    renderLeaderboard(gameOverLeaderboardList);
-    gameOverScreen.classList.remove('hidden');
 }
 
-// Cache for leaderboard data
-let cachedLeaderboard = [];
-
-async function saveScore() {
-    const name = playerNameInput.value.trim() || 'Anonymous';
+// Freeze a live run and show the pause menu (replays have their own controls,
+// online races cannot wait for one player)
+function pauseGame() {
+    if (activeReplay || onlineMode || gameOverTriggered || (!gameRunning && countdownTimer === null)) return;
 
-    // Disable button while saving
-    saveScoreBtn.disabled = true;
-    saveScoreBtn.textContent = 'Ukladam...';
+    gameRunning = false;
+    isPaused = true;
+    cancelAnimationFrame(animationFrameId);
+    stopCountdown();
+    stopMusic();
+    pauseScreen.classList.remove('hidden');
+}
 
-    try {
-        const response = await fetch('/api/scores', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({ name, score })
-        });
+// Count down before the run continues; startLoop resets lastTime so the pause never reaches the simulation
+function resumeGame() {
+    pauseScreen.classList.add('hidden');
+    startCountdown(COUNTDOWN_SECONDS, () => {
+        isPaused = false;
+        startLoop();
+    });
+}
 
-        if (!response.ok) {
-            throw new Error('Failed to save score');
+function startCountdown(seconds, onDone) {
+    let remaining = seconds;
+    countdownElement.textContent = remaining;
+    countdownElement.classList.remove('hidden');
+    countdownTimer = setInterval(() => {
+        remaining--;
+        if (remaining > 0) {
+            countdownElement.textContent = remaining;
+            return;
         }
+        stopCountdown();
+        onDone();
+    }, 1000);
+}
 
-        newHighScoreDiv.classList.add('hidden');
-        saveScoreBtn.classList.add('hidden');
+function stopCountdown() {
+    clearInterval(countdownTimer);
+    countdownTimer = null;
+    countdownElement.classList.add('hidden');
+}
 
-        // Refresh leaderboard
-        await loadLeaderboard();
-        renderLeaderboard(leaderboardList);
-        renderLeaderboard(gameOverLeaderboardList);
-        updateHighScoreDisplay();
-    } catch (error) {
-        console.error('Error saving score:', error);
-        alert('Chyba pri ukladani skore. Zkus to znovu.');
-        saveScoreBtn.disabled = false;
-        saveScoreBtn.textContent = 'Ulozit skore';
-    }
+function closePauseMenu() {
+    isPaused = false;
+    pauseScreen.classList.add('hidden');
 }
 
-async function loadLeaderboard() {
-    try {
-        const response = await fetch('/api/scores');
-        if (!response.ok) {
-            throw new Error('Failed to load scores');
-        }
-        const data = await response.json();
-        cachedLeaderboard = data.scores || [];
-    } catch (error) {
-        console.error('Error loading leaderboard:', error);
-        cachedLeaderboard = [];
-    }
+function quitToMenu() {
+    closePauseMenu();
+    inputRecorder = null;
+    ghostRecorder = null;
+    statsRecorder = null;
+    winnerScreen.classList.add('hidden');
+    startScreen.classList.remove('hidden');
+    characterPreview.start();
 }
 
-function renderLeaderboard(listElement = leaderboardList) {
-    if (cachedLeaderboard.length === 0) {
-        listElement.innerHTML = '<li class="no-scores">Zatim zadne skore</li>';
-        return;
+function playEffect(name) {
+    if (!seeking) {
+        playSound(name);
     }
-
-    listElement.innerHTML = cachedLeaderboard.map((entry, index) => `
-        <li>
-            <span class="rank">#${index + 1}</span>
-            <span class="player-name">${escapeHtml(entry.name)}</span>
-            <span class="player-score">${entry.score}</span>
-        </li>
-    `).join('');
 }
 
-function updateHighScoreDisplay() {
-    if (cachedLeaderboard.length > 0) {
-        highScoreElement.textContent = `Best: ${cachedLeaderboard[0].score}`;
+function startGame() {
+    if (playerModelStatus === 'loading') return;
+
+    clearInput();
+    activeReplay = null;
+    versusMode = false;
+    onlineMode = false;
+    replayControls.classList.add('hidden');
+
+    // Seed the layout - a race uses the ghost's tower, the daily challenge today's
+    // tower, otherwise the chosen seed or a fresh one
+    currentDaily = dailyMode ? dailyDate() : null;
+    if (raceGhost) {
+        resetRun(raceGhost.seed, raceGhost.difficulty);
+        createGhost();
+    } else if (currentDaily) {
+        resetRun(dailySeed(currentDaily), DAILY_DIFFICULTY);
+    } else {
+        resetRun(normalizeSeed(seedInput.value) || generateSeed(), selectedDifficulty);
     }
-}
+    inputRecorder = createInputRecorder();
+    ghostRecorder = createGhostRecorder();
+    statsRecorder = createStatsRecorder();
+    requestRunToken(currentSeed, currentDifficulty, currentDaily);
 
-async function updateLeaderboardDisplay(listElement = leaderboardList) {
-    await loadLeaderboard();
-    renderLeaderboard(listElement);
-}
+    // Reset UI
+    startScreen.classList.add('hidden');
+    gameOverScreen.classList.add('hidden');
+    winnerScreen.classList.add('hidden');
+    characterPreview.stop();
 
-function escapeHtml(text) {
-    const div = document.createElement('div');
-    div.textContent = text;
-    return div.innerHTML;
+    startLoop();
 }
 
-function onWindowResize() {
-    camera.aspect = window.innerWidth / window.innerHeight;
-    camera.updateProjectionMatrix();
+// Local two-player race on one tower, split-screen. Nothing is recorded or
+// submitted - versus runs never reach the leaderboard.
+function startVersus() {
+    if (playerModelStatus === 'loading') return;
+
+    clearInput();
+    activeReplay = null;
+    inputRecorder = null;
+    ghostRecorder = null;
+    statsRecorder = null;
+    versusMode = true;
+    onlineMode = false;
+    replayControls.classList.add('hidden');
+
+    resetRun(normalizeSeed(seedInput.value) || generateSeed(), selectedDifficulty, 2);
+
+    startScreen.classList.add('hidden');
+    gameOverScreen.classList.add('hidden');
+    winnerScreen.classList.add('hidden');
+    characterPreview.stop();
+
+    startLoop();
+}
+
+// The first runner to fall loses; falling on the same tick is a draw
+function versusOver() {
+    gameOverTriggered = true;
+    gameRunning = false;
+    stopMusic();
+    playEffect('gameOver');
+
+    const survivors = runners.filter(runner => !runner.fell);
+    versusResult = {
+        winner: survivors.length === 1 ? survivors[0].index : null,
+        scores: runners.map(runner => runner.score)
+    };
+    renderWinnerScreen();
+    winnerScreen.classList.remove('hidden');
+}
+
+function renderWinnerScreen() {
+    const { winner, scores } = versusResult;
+    winnerTitle.textContent = winner === null ? t('versus.draw') : t('versus.winner', { player: winner + 1 });
+    winnerScoresList.innerHTML = scores.map((playerScore, index) => `
+        <li class="${index === winner ? 'winner' : ''}">
+            <span class="player-name">${t('versus.player', { player: index + 1 })}</span>
+            <span class="player-score">${formatNumber(playerScore)}</span>
+        </li>
+    `).join('');
+}
+
+// Online races: players meet in a room on the room server, the host starts
+// the race and everyone climbs the same tower with the others shown as
+// ghosts. Like versus runs, nothing is recorded or submitted.
+function openLobby() {
+    if (playerModelStatus === 'loading') return;
+
+    startScreen.classList.add('hidden');
+    characterPreview.stop();
+    lobbyNameInput.value ||= profile.name;
+    lobbyErrorElement.classList.add('hidden');
+    renderLobby();
+    lobbyScreen.classList.remove('hidden');
+}
+
+function createOnlineRoom() {
+    const name = lobbyNameInput.value.trim();
+    if (!name) {
+        showLobbyError('INVALID_NAME');
+        return;
+    }
+    sendToRoomServer({ type: 'create', name });
+}
+
+function joinOnlineRoom() {
+    const name = lobbyNameInput.value.trim();
+    if (!name) {
+        showLobbyError('INVALID_NAME');
+        return;
+    }
+    sendToRoomServer({ type: 'join', code: lobbyCodeInput.value, name });
+}
+
+// Connects on first use; the connection stays open until the player leaves
+async function sendToRoomServer(message) {
+    lobbyErrorElement.classList.add('hidden');
+
+    if (!roomConnection) {
+        lobbyCreateBtn.disabled = true;
+        lobbyJoinBtn.disabled = true;
+        lobbyStatusElement.textContent = t('online.connecting');
+        try {
+            roomConnection = await connectToRooms({ onMessage: onRoomMessage, onClose: onRoomClosed });
+        } catch (error) {
+            console.error('Error connecting to the room server:', error);
+            showLobbyError('CONNECTION_FAILED');
+            return;
+        } finally {
+            lobbyCreateBtn.disabled = false;
+            lobbyJoinBtn.disabled = false;
+            lobbyStatusElement.textContent = '';
+        }
+    }
+    roomConnection.send(message);
+}
+
+// The host's start screen picks the tower for everyone
+function requestOnlineStart() {
+    lobbyErrorElement.classList.add('hidden');
+    roomConnection?.send({
+        type: 'start',
+        seed: normalizeSeed(seedInput.value) || generateSeed(),
+        difficulty: selectedDifficulty
+    });
+}
+
+function onRoomMessage(message) {
+    switch (message.type) {
+        case 'joined':
+            onlineRoom = { id: message.id, room: message.room, place: null, results: null };
+            renderLobby();
+            break;
+        case 'room':
+            if (!onlineRoom) return;
+            onlineRoom.room = message.room;
+            renderLobby();
+            updateOnlineHud();
+            break;
+        case 'start':
+            startOnlineRace(message);
+            break;
+        case 'position':
+            remotePlayers.get(message.id)?.track.push(message.tick, message.x, message.y);
+            break;
+        case 'placed':
+            onPlayerPlaced(message);
+            break;
+        case 'results':
+            finishOnlineRace(message.results);
+            break;
+        case 'error':
+            showLobbyError(message.code);
+            break;
+    }
+}
+
+function startOnlineRace({ seed, difficulty: difficultyName, delay }) {
+    clearInput();
+    activeReplay = null;
+    inputRecorder = null;
+    ghostRecorder = null;
+    statsRecorder = null;
+    versusMode = false;
+    onlineMode = true;
+    onlineRoom.place = null;
+    onlineRoom.results = null;
+    replayControls.classList.add('hidden');
+
+    resetRun(seed, difficultyName);
+    createRemotePlayers();
+
+    lobbyScreen.classList.add('hidden');
+    startScreen.classList.add('hidden');
+    gameOverScreen.classList.add('hidden');
+    winnerScreen.classList.add('hidden');
+    characterPreview.stop();
+    renderInterpolated(1);
+
+    // Every client counts down from the moment the server started the race
+    startCountdown(Math.round(delay / 1000), startLoop);
+}
+
+function sendPosition() {
+    const { object, score } = runners[0];
+    roomConnection?.send({ type: 'position', tick, x: object.position.x, y: object.position.y, score });
+}
+
+// Our run ended by falling; the lobby shows our place while the others finish
+function onlineFell() {
+    roomConnection?.send({ type: 'fell', score: runners[0].score });
+    renderLobby();
+    lobbyScreen.classList.remove('hidden');
+}
+
+function onPlayerPlaced({ id, place }) {
+    if (!onlineRoom) return;
+    if (id === onlineRoom.id) {
+        onlineRoom.place = place;
+        renderLobby();
+        return;
+    }
+
+    const remote = remotePlayers.get(id);
+    if (remote) {
+        scene.remove(remote.object);
+        remotePlayers.delete(id);
+    }
+}
+
+// Still climbing when the results arrive means everyone else fell - we won
+function finishOnlineRace(results) {
+    if (!onlineRoom) return;
+    onlineRoom.results = results;
+
+    if (onlineMode && !gameOverTriggered) {
+        gameOverTriggered = true;
+        gameRunning = false;
+        stopCountdown();
+        stopMusic();
+        playEffect('highScore');
+        reportAchievement('runEnd');
+    }
+    renderLobby();
+    lobbyScreen.classList.remove('hidden');
+}
+
+function onRoomClosed() {
+    roomConnection = null;
+    onlineRoom = null;
+
+    if (onlineMode && !gameOverTriggered) {
+        gameOverTriggered = true;
+        gameRunning = false;
+        stopCountdown();
+        stopMusic();
+    }
+    showLobbyError('DISCONNECTED');
+    lobbyStatusElement.textContent = '';
+    renderLobby();
+    lobbyScreen.classList.remove('hidden');
+}
+
+// Closing the connection is how the server learns we left
+function leaveLobby() {
+    const connection = roomConnection;
+    roomConnection = null;
+    onlineRoom = null;
+    connection?.close();
+
+    onlineMode = false;
+    lobbyStatusElement.textContent = '';
+    stopCountdown();
+    removeRemotePlayers();
+    updateOnlineHud();
+    lobbyScreen.classList.add('hidden');
+    quitToMenu();
+}
+
+// Error codes with their own message (online.error.<code>) - from the room server or the client
+const ONLINE_ERROR_CODES = [
+    'ROOM_NOT_FOUND',
+    'ROOM_FULL',
+    'ROOM_STARTED',
+    'NOT_ENOUGH_PLAYERS',
+    'INVALID_NAME',
+    'SERVER_FULL',
+    'CONNECTION_FAILED',
+    'DISCONNECTED'
+];
+
+function showLobbyError(code) {
+    lobbyErrorElement.textContent = t(ONLINE_ERROR_CODES.includes(code) ? `online.error.${code}` : 'online.error.DEFAULT');
+    lobbyErrorElement.classList.remove('hidden');
+}
+
+function renderLobby() {
+    const room = onlineRoom?.room;
+    lobbyJoinSection.classList.toggle('hidden', Boolean(room));
+    lobbyRoomSection.classList.toggle('hidden', !room);
+    if (!room) return;
+
+    const isHost = room.hostId === onlineRoom.id;
+    lobbyCodeElement.textContent = room.code;
+    lobbyPlayersList.innerHTML = room.players.map(player => {
+        const own = player.id === onlineRoom.id;
+        let status = '';
+        if (room.state === 'racing') {
+            status = t(player.climbing ? 'online.climbing' : 'online.fell');
+        } else if (player.id === room.hostId) {
+            status = t('online.host');
+        }
+        return `
+            <li class="${own ? 'own' : ''}">
+                <span class="player-name">${escapeHtml(own ? t('online.you', { name: player.name }) : player.name)}</span>
+                <span class="player-status">${status}</span>
+            </li>
+        `;
+    }).join('');
+
+    const { results } = onlineRoom;
+    lobbyResultsSection.classList.toggle('hidden', !results);
+    lobbyResultsList.innerHTML = (results || []).map(result => `
+        <li class="${result.id === onlineRoom.id ? 'own' : ''}">
+            <span class="rank">${t('online.place', { place: result.place })}</span>
+            <span class="player-name">${escapeHtml(result.name)}</span>
+            <span class="player-score">${formatNumber(result.score)}</span>
+        </li>
+    `).join('');
+
+    if (room.state === 'racing') {
+        lobbyStatusElement.textContent = onlineRoom.place
+            ? t('online.placed', { place: onlineRoom.place })
+            : t('online.racing');
+    } else if (isHost) {
+        lobbyStatusElement.textContent = t(room.players.length < 2 ? 'online.needPlayers' : 'online.hostHint');
+    } else {
+        lobbyStatusElement.textContent = t('online.waitingForHost');
+    }
+    lobbyStartBtn.classList.toggle('hidden', !isHost || room.state !== 'lobby');
+    lobbyStartBtn.disabled = room.players.length < 2;
+}
+
+function updateOnlineHud() {
+    hudOnline.classList.toggle('hidden', !onlineMode || !onlineRoom);
+    if (!onlineMode || !onlineRoom) return;
+
+    // Until the room snapshot marks the race as started everyone counts as climbing
+    const { state, players } = onlineRoom.room;
+    const climbing = state === 'racing' ? players.filter(player => player.climbing).length : players.length;
+    hudOnline.textContent = t('online.playersLeft', { count: formatNumber(climbing) });
+}
+
+// Rivals are translucent capsules with a name tag, each in its own colour
+function createRemotePlayers() {
+    onlineRoom.room.players.forEach((player, index) => {
+        if (player.id === onlineRoom.id) return;
+
+        const color = REMOTE_COLORS[index % REMOTE_COLORS.length];
+        const object = createCapsuleModel(color);
+        makeGhostly(object, color);
+        const label = createNameLabel(player.name, color);
+        label.position.y = PLAYER_HEIGHT * 0.8;
+        object.add(label);
+        object.visible = false;
+        scene.add(object);
+        remotePlayers.set(player.id, { track: createRemoteTrack(), object });
+    });
+}
+
+function createNameLabel(name, color) {
+    const canvas = document.createElement('canvas');
+    canvas.width = 256;
+    canvas.height = 64;
+    const context = canvas.getContext('2d');
+    context.font = 'bold 36px sans-serif';
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+    context.fillStyle = `#${new THREE.Color(color).getHexString()}`;
+    context.fillText(name, canvas.width / 2, canvas.height / 2, canvas.width);
+
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.colorSpace = THREE.SRGBColorSpace;
+    const sprite = new THREE.Sprite(new THREE.SpriteMaterial({ map: texture, transparent: true, depthWrite: false }));
+    sprite.scale.set(2, 0.5, 1);
+    return sprite;
+}
+
+function removeRemotePlayers() {
+    remotePlayers.forEach(({ object }) => scene.remove(object));
+    remotePlayers.clear();
+}
+
+// Rivals are drawn REMOTE_DELAY_TICKS in the past, between their last updates
+function placeRemotePlayers(index) {
+    remotePlayers.forEach(({ track, object }) => {
+        const position = track.positionAt(index);
+        object.visible = position !== null;
+        if (position) {
+            object.position.set(position.x, position.y, 0);
+        }
+    });
+}
+
+function startReplay(data) {
+    let replayData;
+    try {
+        replayData = parseReplay(data);
+    } catch (error) {
+        console.error('Invalid replay:', error);
+        alert(t('replay.invalid'));
+        return;
+    }
+
+    clearInput();
+    inputRecorder = null;
+    ghostRecorder = null;
+    statsRecorder = null;
+    versusMode = false;
+    onlineMode = false;
+    activeReplay = {
+        data: replayData,
+        inputs: expandInputs(replayData.inputs),
+        paused: false,
+        speed: 1
+    };
+
+    resetRun(replayData.seed, replayData.difficulty);
+
+    startScreen.classList.add('hidden');
+    gameOverScreen.classList.add('hidden');
+    winnerScreen.classList.add('hidden');
+    characterPreview.stop();
+    replayControls.classList.remove('hidden');
+    replayScrubber.max = activeReplay.inputs.length;
+    replaySpeedBtn.textContent = '1x';
+    updateReplayControls();
+
+    startLoop();
+}
+
+// Simulations are deterministic, so seeking replays from tick 0 without rendering
+function seekReplay(targetTick) {
+    if (!activeReplay) return;
+
+    resetRun(activeReplay.data.seed, activeReplay.data.difficulty);
+    seeking = true;
+    while (tick < targetTick && !gameOverTriggered) {
+        step();
+    }
+    seeking = false;
+    runners.forEach(savePreviousState);
+    updateReplayControls();
+}
+
+function toggleReplayPause() {
+    if (!activeReplay) return;
+
+    if (activeReplay.paused && (gameOverTriggered || tick >= activeReplay.inputs.length)) {
+        // Play again from the beginning once the end was reached
+        seekReplay(0);
+    }
+    activeReplay.paused = !activeReplay.paused;
+    if (activeReplay.paused) {
+        stopMusic();
+    } else {
+        startMusic();
+    }
+    accumulator = 0;
+    runners.forEach(savePreviousState);
+    updateReplayControls();
+}
+
+function toggleReplaySpeed() {
+    if (!activeReplay) return;
+
+    activeReplay.speed = activeReplay.speed === 1 ? 2 : 1;
+    replaySpeedBtn.textContent = `${activeReplay.speed}x`;
+}
+
+function finishReplay() {
+    activeReplay.paused = true;
+    stopMusic();
+    accumulator = 0;
+    runners.forEach(savePreviousState);
+    updateReplayControls();
+}
+
+function exitReplay() {
+    activeReplay = null;
+    gameRunning = false;
+    cancelAnimationFrame(animationFrameId);
+    stopMusic();
+    replayControls.classList.add('hidden');
+    startScreen.classList.remove('hidden');
+    characterPreview.start();
+}
+
+function updateReplayControls() {
+    replayPlayBtn.textContent = t(activeReplay.paused ? 'replay.play' : 'replay.pause');
+    replayScrubber.value = tick;
+    replayTimeElement.textContent = `${formatTicks(tick)} / ${formatTicks(activeReplay.inputs.length)}`;
+}
+
+function formatTicks(ticks) {
+    const seconds = Math.floor(ticks * FIXED_TIMESTEP);
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+function downloadReplay() {
+    if (!lastRun) return;
+
+    const { replay } = lastRun;
+    const blob = new Blob([JSON.stringify(replay)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `towerjump_${replay.seed}_${replay.score}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+}
+
+async function importReplayFile() {
+    const file = replayFileInput.files[0];
+    replayFileInput.value = '';
+    if (!file) return;
+
+    startReplay(await file.text());
+}
+
+async function watchLeaderboardReplay(id) {
+    try {
+        const response = await fetch(`/api/scores?id=${encodeURIComponent(id)}`);
+        if (!response.ok) {
+            throw new Error('Failed to load replay');
+        }
+        const data = await response.json();
+        startReplay(data.score.replay);
+    } catch (error) {
+        console.error('Error loading replay:', error);
+        alert(t('replay.loadFailed'));
+    }
+}
+
+function onLeaderboardClick(e) {
+    const raceButton = e.target.closest('.race-ghost');
+    if (raceButton) {
+        raceLeaderboardGhost(raceButton.dataset.id);
+        return;
+    }
+    const compareButton = e.target.closest('.compare-stats');
+    if (compareButton) {
+        compareLeaderboardStats(compareButton.dataset.id);
+        return;
+    }
+    const button = e.target.closest('.watch-replay');
+    if (button) {
+        watchLeaderboardReplay(button.dataset.id);
+    }
+}
+
+// Ghosts race on their own tower and difficulty, whatever is picked on the start screen
+function startRace(name, { seed, difficulty: difficultyName, ghost }) {
+    try {
+        raceGhost = { name, seed, difficulty: difficultyName, positions: decodeGhost(ghost) };
+    } catch (error) {
+        console.error('Invalid ghost:', error);
+        alert(t('ghost.invalid'));
+        return;
+    }
+    dailyMode = false;
+    startGame();
+}
+
+async function raceLeaderboardGhost(id) {
+    try {
+        const { score: entry } = await requestJson(`/api/scores?id=${encodeURIComponent(id)}`);
+        startRace(entry.name, entry);
+    } catch (error) {
+        console.error('Error loading ghost:', error);
+        alert(t('ghost.loadFailed'));
+    }
+}
+
+function racePersonalBest() {
+    const best = loadBestGhosts()[selectedDifficulty];
+    if (best) {
+        startRace(t('ghost.personalBest'), best);
+    }
+}
+
+// Personal best ghost per difficulty, kept in localStorage with its tower
+function loadBestGhosts() {
+    try {
+        return JSON.parse(localStorage.getItem(GHOST_BEST_KEY)) || {};
+    } catch (error) {
+        return {};
+    }
+}
+
+function saveBestGhost(run) {
+    const ghosts = loadBestGhosts();
+    if (ghosts[run.difficulty] && ghosts[run.difficulty].score >= run.score) return;
+
+    ghosts[run.difficulty] = { seed: run.seed, difficulty: run.difficulty, score: run.score, ghost: run.ghost, stats: run.stats };
+    try {
+        localStorage.setItem(GHOST_BEST_KEY, JSON.stringify(ghosts));
+    } catch (error) {
+        // Storage full - the previous best stays
+        console.error('Error saving ghost:', error);
+    }
+    renderRaceBestButton();
+}
+
+function renderRaceBestButton() {
+    const best = loadBestGhosts()[selectedDifficulty];
+    raceBestBtn.textContent = best ? t('ghost.raceBest', { score: formatNumber(best.score) }) : '';
+    raceBestBtn.classList.toggle('hidden', !best);
+}
+
+// Translucent copy of the selected character that follows the recorded track
+function createGhost() {
+    ghostObject = createCharacterObject(selectedCharacter, playerModel);
+    makeGhostly(ghostObject, GHOST_COLOR);
+    scene.add(ghostObject);
+    placeGhost(0);
+    hudGhost.classList.remove('hidden');
+    updateGhostHud();
+}
+
+function makeGhostly(object, color) {
+    const material = new THREE.MeshBasicMaterial({
+        color,
+        transparent: true,
+        opacity: GHOST_OPACITY,
+        depthWrite: false
+    });
+    object.traverse(child => {
+        if (child instanceof THREE.Mesh) {
+            child.material = material;
+            child.castShadow = false;
+            child.receiveShadow = false;
+        }
+    });
+}
+
+function removeGhost() {
+    if (ghostObject) {
+        scene.remove(ghostObject);
+        ghostObject = null;
+    }
+    hudGhost.classList.add('hidden');
+}
+
+// Ghost positions are indexed by tick, recorded after each tick's movement
+function placeGhost(index) {
+    const position = ghostPositionAt(raceGhost.positions, index);
+    ghostObject.visible = position !== null;
+    if (position) {
+        ghostObject.position.set(position.x, position.y, 0);
+    }
+}
+
+function updateGhostHud() {
+    const ghost = ghostPositionAt(raceGhost.positions, tick - 1);
+    if (!ghost) {
+        hudGhost.textContent = t('hud.ghostFinished', { name: raceGhost.name });
+        hudGhost.classList.remove('ahead', 'behind');
+        return;
+    }
+
+    const difference = Math.round((runners[0].object.position.y - ghost.y) * 10) / 10;
+    const sign = difference > 0 ? '+' : difference < 0 ? '-' : '';
+    hudGhost.textContent = t('hud.ghost', { name: raceGhost.name, difference: sign + formatNumber(Math.abs(difference)) });
+    hudGhost.classList.toggle('ahead', difference > 0);
+    hudGhost.classList.toggle('behind', difference < 0);
+}
+
+// Replays and local versus races do not count towards achievements
+function reportAchievement(type, data) {
+    if (activeReplay || versusMode) return;
+    trackEvent(type, data);
+}
+
+// Unlocks not synced here are picked up by initProfile() on the next visit
+async function onAchievementUnlocked(id) {
+    showToast(t('achievements.unlocked'), t(`achievement.${id}.name`));
+    playEffect('achievement');
+    renderAchievements();
+    if (!profile.registered) return;
+
+    try {
+        profileStats = await syncAchievements(profile, [id]);
+    } catch (error) {
+        console.error('Error syncing achievements:', error);
+    }
+}
+
+function showToast(label, text) {
+    const toast = document.createElement('div');
+    toast.className = 'toast';
+    toast.innerHTML = `<span>${escapeHtml(label)}</span>${escapeHtml(text)}`;
+    toastsElement.appendChild(toast);
+    setTimeout(() => toast.remove(), TOAST_DURATION);
+}
+
+function renderAchievements() {
+    const unlocked = getUnlocked();
+    achievementsProgressElement.textContent = t('achievements.progress', {
+        count: formatNumber(Object.keys(unlocked).length),
+        total: formatNumber(ACHIEVEMENTS.length)
+    });
+    achievementsList.innerHTML = ACHIEVEMENTS.map(({ id }) => `
+        <li class="${unlocked[id] ? 'unlocked' : ''}">
+            <span class="achievement-name">${t(`achievement.${id}.name`)}</span>
+            <span class="achievement-description">${t(`achievement.${id}.description`)}</span>
+            ${unlocked[id] ? `<span class="achievement-date">${t('achievements.unlockedOn', { date: formatDate(unlocked[id], { time: false }) })}</span>` : ''}
+        </li>
+    `).join('');
+}
+
+async function gameOver() {
+    gameOverTriggered = true;
+    stopMusic();
+    playEffect('gameOver');
+
+    if (activeReplay) {
+        finishReplay();
+        return;
+    }
+
+    gameRunning = false;
+    reportAchievement('runEnd');
+    if (onlineMode) {
+        onlineFell();
+        return;
+    }
+
+    const { score, coinsCollected, maxHeight } = runners[0];
+    lastRun = {
+        seed: currentSeed,
+        difficulty: currentDifficulty,
+        score,
+        coins: coinsCollected,
+        runToken,
+        daily: currentDaily,
+        replay: createReplay({ seed: currentSeed, difficulty: currentDifficulty, recorder: inputRecorder, score }),
+        ghost: ghostRecorder.encode(),
+        stats: statsRecorder.finish()
+    };
+    inputRecorder = null;
+    ghostRecorder = null;
+    statsRecorder = null;
+
+    // Compared with the personal best it had to beat, until a leaderboard run is picked
+    const best = loadBestGhosts()[currentDifficulty];
+    statsComparison = best?.stats ? { name: null, stats: best.stats } : null;
+    saveBestGhost(lastRun);
+    renderRunStats();
+
+    finalScoreElement.textContent = formatNumber(score);
+    finalSeedElement.textContent = currentSeed;
+    finalDifficultyElement.textContent = t(`difficulty.${currentDifficulty}`);
+
+    reportRun({ runToken, score, height: maxHeight });
+
+    // Reload leaderboard to get latest data
+    await loadLeaderboard();
+
+    // Check if score qualifies for leaderboard (always allow saving if score > 0).
+    // Daily runs qualify by beating the player's own best of the day.
+    let qualifies;
+    if (lastRun.daily) {
+        await showDailyBoard(lastRun.daily);
+        qualifies = score > (dailyBoard.playerScore ?? 0);
+    } else {
+        qualifies = await qualifiesForLeaderboard(score, lastRun.difficulty);
+    }
+
+    if (qualifies && score > 0) {
+        newHighScoreDiv.classList.remove('hidden');
+        saveScoreBtn.classList.remove('hidden');
+        saveScoreBtn.disabled = false;
+        saveScoreBtn.textContent = t('gameOver.saveScore');
+        saveErrorElement.classList.add('hidden');
+        playerNameInput.value = profile.name;
+        playerNameInput.focus();
+        playSound('highScore');
+    } else {
+        newHighScoreDiv.classList.add('hidden');
+        saveScoreBtn.classList.add('hidden');
+    }
+
+    renderLeaderboard(gameOverLeaderboardList);
+    gameOverScreen.classList.remove('hidden');
+}
+
+async function compareLeaderboardStats(id) {
+    try {
+        const { score: entry } = await requestJson(`/api/scores?id=${encodeURIComponent(id)}`);
+        statsComparison = { name: entry.name, stats: entry.stats };
+        renderRunStats();
+    } catch (error) {
+        console.error('Error loading run stats:', error);
+        alert(t('stats.loadFailed'));
+    }
+}
+
+// Stats of the last run next to the compared run, if any
+function renderRunStats() {
+    const { stats } = lastRun;
+    const compared = statsComparison?.stats;
+    const comparedLabel = compared ? escapeHtml(statsComparison.name ?? t('stats.personalBest')) : '';
+    const seconds = (ticks) => t('stats.seconds', { value: formatNumber(Math.round(ticks * FIXED_TIMESTEP * 10) / 10) });
+    const rows = [
+        ['stats.time', s => formatTicks(s.ticks)],
+        ['stats.jumps', s => formatNumber(s.jumps)],
+        ['stats.landings', s => formatNumber(s.landings)],
+        ['stats.longestAirtime', s => seconds(s.longestAirtime)],
+        ['stats.highestPoint', s => formatNumber(s.highestPoint)],
+        ['stats.averageClearance', s => formatNumber(s.averageClearance)],
+        ['stats.peakScrollSpeed', s => t('stats.speed', { value: formatNumber(Math.round(s.peakScrollSpeed / FIXED_TIMESTEP * 10) / 10) })]
+    ];
+
+    runStatsTable.innerHTML = `
+        <thead>
+            <tr>
+                <th></th>
+                <th>${t('stats.thisRun')}</th>
+                ${compared ? `<th>${comparedLabel}</th>` : ''}
+            </tr>
+        </thead>
+        <tbody>
+            ${rows.map(([key, format]) => `
+                <tr>
+                    <th>${t(key)}</th>
+                    <td>${format(stats)}</td>
+                    ${compared ? `<td>${format(compared)}</td>` : ''}
+                </tr>
+            `).join('')}
+        </tbody>
+    `;
+    runStatsLegend.innerHTML = `<span style="color: ${STATS_COLOR}">&#9632; ${t('stats.thisRun')}</span>` +
+        (compared ? ` <span style="color: ${STATS_COMPARE_COLOR}">&#9632; ${comparedLabel}</span>` : '');
+    drawHeightChart(stats, compared);
+}
+
+// Height over time; both runs share the axes so they can be compared at a glance
+function drawHeightChart(stats, compared) {
+    const context = runStatsChart.getContext('2d');
+    const { width, height } = runStatsChart;
+    const padding = 24;
+    const runs = compared ? [stats, compared] : [stats];
+    const maxTicks = Math.max(...runs.map(run => run.ticks), 1);
+    const maxHeight = Math.max(...runs.flatMap(run => run.heights.samples), 1);
+    const toX = (ticks) => padding + ticks / maxTicks * (width - padding * 2);
+    const toY = (y) => height - padding - Math.max(y, 0) / maxHeight * (height - padding * 2);
+
+    context.clearRect(0, 0, width, height);
+    context.strokeStyle = 'rgba(255, 255, 255, 0.3)';
+    context.lineWidth = 1;
+    context.beginPath();
+    context.moveTo(padding, padding);
+    context.lineTo(padding, height - padding);
+    context.lineTo(width - padding, height - padding);
+    context.stroke();
+
+    context.fillStyle = '#aaa';
+    context.font = '12px sans-serif';
+    context.textBaseline = 'middle';
+    context.textAlign = 'right';
+    context.fillText(formatNumber(Math.round(maxHeight)), padding - 4, padding);
+    context.textBaseline = 'top';
+    context.fillText(formatTicks(maxTicks), width - padding, height - padding + 4);
+
+    // The compared run goes underneath, dashed
+    [...runs].reverse().forEach(run => {
+        const { interval, samples } = run.heights;
+        context.strokeStyle = run === stats ? STATS_COLOR : STATS_COMPARE_COLOR;
+        context.lineWidth = 2;
+        context.setLineDash(run === stats ? [] : [6, 4]);
+        context.beginPath();
+        samples.forEach((sample, i) => {
+            const x = toX(i * interval);
+            if (i === 0) {
+                context.moveTo(x, toY(sample));
+            } else {
+                context.lineTo(x, toY(sample));
+            }
+        });
+        context.stroke();
+    });
+    context.setLineDash([]);
+}
+
+// Error codes returned by /api/scores that have their own message (save.<code>)
+const SAVE_ERROR_CODES = [
+    'RUN_TOKEN_MISSING',
+    'RUN_TOKEN_INVALID',
+    'RUN_TOKEN_EXPIRED',
+    'RUN_TOKEN_USED',
+    'SEED_MISMATCH',
+    'DIFFICULTY_MISMATCH',
+    'RUN_PLAYER_MISMATCH',
+    'SCORE_IMPOSSIBLE',
+    'NAME_TAKEN',
+    'PLAYER_AUTH_FAILED'
+];
+
+function saveErrorMessage(code, fallback = 'save.DEFAULT') {
+    return t(SAVE_ERROR_CODES.includes(code) ? `save.${code}` : fallback);
+}
+
+// Cache for leaderboard data - all pages loaded so far for the current time window
+let cachedLeaderboard = [];
+let leaderboardTotal = 0;
+let leaderboardWindow = 'all';
+let playerRank = null;
+let leaderboardStaleSince = null; // Fetch time of the cached board shown while offline
+let queuedScoreCount = 0;
+
+async function saveScore() {
+    const name = playerNameInput.value.trim() || profile.name;
+    const body = {
+        playerId: profile.id,
+        playerSecret: profile.secret,
+        score: lastRun.score,
+        coins: lastRun.coins,
+        seed: lastRun.seed,
+        difficulty: lastRun.difficulty,
+        replay: lastRun.replay,
+        ghost: lastRun.ghost,
+        stats: lastRun.stats,
+        runToken: lastRun.runToken
+    };
+
+    // Disable button while saving
+    saveScoreBtn.disabled = true;
+    saveScoreBtn.textContent = t('gameOver.saving');
+
+    try {
+        // Scores are saved under the profile name, so rename first if needed
+        if (!profile.registered || name !== profile.name) {
+            profileStats = await registerProfile(profile, name);
+            renderProfile();
+        }
+
+        await requestJson('/api/scores', { method: 'POST', body });
+
+        newHighScoreDiv.classList.add('hidden');
+        saveScoreBtn.classList.add('hidden');
+
+        // Refresh leaderboard
+        await loadLeaderboard();
+        renderLeaderboard(leaderboardList);
+        renderLeaderboard(gameOverLeaderboardList);
+        updateHighScoreDisplay();
+        if (lastRun.daily) {
+            await showDailyBoard(lastRun.daily);
+        }
+    } catch (error) {
+        console.error('Error saving score:', error);
+
+        // Offline or the server is down - keep the score and send it later
+        if (!error.rejected && await queueOfflineScore({ name, body })) {
+            newHighScoreDiv.classList.add('hidden');
+            saveScoreBtn.classList.add('hidden');
+            saveErrorElement.textContent = t('save.QUEUED');
+            saveErrorElement.classList.remove('hidden');
+            return;
+        }
+
+        saveErrorElement.textContent = saveErrorMessage(error.code);
+        saveErrorElement.classList.remove('hidden');
+
+        if (error.rejected && error.code !== 'NAME_TAKEN') {
+            // The server refused this run - retrying won't help
+            saveScoreBtn.classList.add('hidden');
+        } else {
+            saveScoreBtn.disabled = false;
+            saveScoreBtn.textContent = t('gameOver.saveScore');
+        }
+    }
+}
+
+async function queueOfflineScore(data) {
+    try {
+        await queueScore(data);
+        return true;
+    } catch (error) {
+        console.error('Error queueing score:', error);
+        return false;
+    }
+}
+
+// Sender for the offline queue - the profile may not have been registered yet either
+async function sendQueuedScore({ name, body }) {
+    if (!profile.registered) {
+        profileStats = await registerProfile(profile, name);
+        renderProfile();
+    }
+    await requestJson('/api/scores', { method: 'POST', body });
+
+    await loadLeaderboard();
+    renderLeaderboard(leaderboardList);
+    renderLeaderboard(gameOverLeaderboardList);
+    updateHighScoreDisplay();
+    if (dailyBoard) {
+        await showDailyBoard(dailyBoard.date);
+    }
+}
+
+function showRejectedScore({ body }, error) {
+    showToast(t('save.queuedRejected', { score: formatNumber(body.score) }), saveErrorMessage(error.code));
+}
+
+function renderQueuedScores(count) {
+    queuedScoreCount = count;
+    queuedScoresElement.textContent = t('leaderboard.queued', { count: formatNumber(count) });
+    queuedScoresElement.classList.toggle('hidden', count === 0);
+}
+
+// Daily challenge runs are started under the profile, which counts the attempt
+async function requestRunToken(seed, difficultyName, daily = null) {
+    runToken = null;
+    const body = daily
+        ? { seed, difficulty: difficultyName, daily, playerId: profile.id, playerSecret: profile.secret }
+        : { seed, difficulty: difficultyName };
+    try {
+        const data = await requestJson('/api/runs', { method: 'POST', body });
+
+        // Ignore tokens arriving after the player already moved on to another run
+        if (currentSeed === seed && !activeReplay) {
+            runToken = data.token;
+        }
+        if (daily) {
+            dailyAttempts = { date: daily, count: data.attempts };
+            renderDailyInfo();
+        }
+    } catch (error) {
+        console.error('Error starting run:', error);
+    }
+}
+
+// Loads the first page of the selected difficulty and time window, or the next page when appending
+async function loadLeaderboard({ append = false } = {}) {
+    const params = new URLSearchParams({
+        limit: MAX_LEADERBOARD_ENTRIES,
+        offset: append ? cachedLeaderboard.length : 0,
+        window: leaderboardWindow,
+        difficulty: selectedDifficulty
+    });
+    if (profile) {
+        params.set('player', profile.id);
+    }
+
+    try {
+        const response = await fetch(`/api/scores?${params}`);
+        if (!response.ok) {
+            throw new Error('Failed to load scores');
+        }
+        const data = await response.json();
+        const scores = data.scores || [];
+        cachedLeaderboard = append ? cachedLeaderboard.concat(scores) : scores;
+        leaderboardTotal = data.total ?? cachedLeaderboard.length;
+        playerRank = data.playerRank ?? null;
+        leaderboardStaleSince = null;
+        saveLeaderboardCache();
+    } catch (error) {
+        console.error('Error loading leaderboard:', error);
+        if (!append) {
+            // Fall back to the last board fetched for this difficulty and window
+            const cached = readLeaderboardCache()[leaderboardCacheKey()];
+            cachedLeaderboard = cached?.scores ?? [];
+            leaderboardTotal = cached ? cachedLeaderboard.length : 0;
+            playerRank = cached?.playerRank ?? null;
+            leaderboardStaleSince = cached?.fetchedAt ?? null;
+        }
+    }
+}
+
+// Whether the score makes the all-time top of its own difficulty, whichever
+// board the leaderboard panel is showing
+async function qualifiesForLeaderboard(score, difficultyName) {
+    const params = new URLSearchParams({ limit: MAX_LEADERBOARD_ENTRIES, window: 'all', difficulty: difficultyName });
+    let scores;
+    try {
+        scores = (await requestJson(`/api/scores?${params}`)).scores;
+    } catch (error) {
+        console.error('Error loading leaderboard:', error);
+        // Offline the score can still be queued
+        scores = readLeaderboardCache()[`${difficultyName}/all`]?.scores ?? [];
+    }
+    return scores.length < MAX_LEADERBOARD_ENTRIES || score > scores[scores.length - 1].score;
+}
+
+function leaderboardCacheKey() {
+    return `${selectedDifficulty}/${leaderboardWindow}`;
+}
+
+function readLeaderboardCache() {
+    try {
+        return JSON.parse(localStorage.getItem(LEADERBOARD_CACHE_KEY)) || {};
+    } catch (error) {
+        return {};
+    }
+}
+
+function saveLeaderboardCache() {
+    const cache = readLeaderboardCache();
+    cache[leaderboardCacheKey()] = {
+        scores: cachedLeaderboard,
+        playerRank,
+        fetchedAt: new Date().toISOString()
+    };
+    localStorage.setItem(LEADERBOARD_CACHE_KEY, JSON.stringify(cache));
+}
+
+// Daily challenge panel - one day's board at a time, plus the winners of past days
+let dailyBoardDate = null; // Day picked in the panel; responses for other days are dropped
+let dailyBoard = null; // { date, scores, total, playerRank, playerScore, playerAttempts } from /api/scores?daily=<date>
+let dailyWinners = [];
+let dailyWinnersTotal = 0;
+
+async function showDailyBoard(date) {
+    dailyBoardDate = date;
+    const params = new URLSearchParams({ daily: date, limit: MAX_LEADERBOARD_ENTRIES, player: profile.id });
+    let board;
+    try {
+        board = await requestJson(`/api/scores?${params}`);
+    } catch (error) {
+        console.error('Error loading daily board:', error);
+        board = { date, scores: [], total: 0, playerRank: null, playerScore: null, playerAttempts: null, failed: true };
+    }
+    if (date !== dailyBoardDate) return;
+
+    dailyBoard = board;
+    if (date === dailyDate() && board.playerAttempts !== null) {
+        dailyAttempts = { date, count: board.playerAttempts };
+    }
+    renderDailyBoard();
+    renderDailyInfo();
+}
+
+async function loadDailyWinners({ append = false } = {}) {
+    const params = new URLSearchParams({
+        daily: 'winners',
+        limit: MAX_LEADERBOARD_ENTRIES,
+        offset: append ? dailyWinners.length : 0
+    });
+    try {
+        const data = await requestJson(`/api/scores?${params}`);
+        dailyWinners = append ? dailyWinners.concat(data.winners) : data.winners;
+        dailyWinnersTotal = data.total;
+    } catch (error) {
+        console.error('Error loading daily winners:', error);
+    }
+    renderDailyWinners();
+}
+
+// Today's tower and the player's attempts, under the Daily challenge button
+// Attempts are counted per player, so the daily challenge waits for a registered profile
+function renderDailyInfo() {
+    const registered = Boolean(profile?.registered);
+    dailyBtn.disabled = playerModelStatus === 'loading' || !registered;
+    if (!registered) {
+        dailyInfoElement.textContent = t('daily.profileRequired');
+        return;
+    }
+
+    const today = dailyDate();
+    dailyInfoElement.textContent = t('daily.info', {
+        date: formatDate(today, { time: false, utc: true }),
+        difficulty: t(`difficulty.${DAILY_DIFFICULTY}`),
+        attempts: formatNumber(dailyAttempts?.date === today ? dailyAttempts.count : 0)
+    });
+}
+
+function renderDailyBoard() {
+    if (!dailyBoard) return;
+
+    const today = dailyDate();
+    const date = formatDate(dailyBoard.date, { time: false, utc: true });
+    dailyDateElement.textContent = dailyBoard.date === today ? t('daily.today', { date }) : date;
+    dailyNextBtn.disabled = dailyBoard.date >= today;
+
+    const own = [];
+    if (dailyBoard.playerRank) {
+        own.push(t('leaderboard.playerRank', { rank: formatNumber(dailyBoard.playerRank) }));
+    }
+    if (dailyBoard.playerAttempts) {
+        own.push(t('daily.attempts', { count: formatNumber(dailyBoard.playerAttempts) }));
+    }
+    dailyPlayerElement.textContent = own.join(' - ');
+    dailyPlayerElement.classList.toggle('hidden', own.length === 0);
+
+    if (dailyBoard.scores.length === 0) {
+        dailyList.innerHTML = `<li class="no-scores">${t(dailyBoard.failed ? 'daily.unavailable' : 'daily.empty')}</li>`;
+        return;
+    }
+
+    dailyList.innerHTML = dailyBoard.scores.map(entry => `
+        <li>
+            <span class="rank">#${formatNumber(entry.rank)}</span>
+            <span class="player-name">${escapeHtml(entry.name)}</span>
+            <span class="score-date">${entry.attempts ? t('daily.attempts', { count: formatNumber(entry.attempts) }) : ''}</span>
+            <span class="player-score">${formatNumber(entry.score)}</span>
+            ${entry.hasReplay ? `<button class="watch-replay" data-id="${entry.id}" title="${t('replay.watch')}">&#9654;</button>` : ''}
+        </li>
+    `).join('');
+}
+
+// Each past winner opens the board of their day
+function renderDailyWinners() {
+    dailyWinnersMoreBtn.classList.toggle('hidden', dailyWinners.length >= dailyWinnersTotal);
+
+    if (dailyWinners.length === 0) {
+        dailyWinnersList.innerHTML = `<li class="no-scores">${t('daily.noWinners')}</li>`;
+        return;
+    }
+
+    dailyWinnersList.innerHTML = dailyWinners.map(entry => `
+        <li>
+            <button class="daily-winner" data-date="${entry.daily}">${formatDate(entry.daily, { time: false, utc: true })}</button>
+            <span class="player-name">${escapeHtml(entry.name)}</span>
+            <span class="player-score">${formatNumber(entry.score)}</span>
+        </li>
+    `).join('');
+}
+
+// Register new profiles right away so every run counts towards their stats
+async function initProfile() {
+    try {
+        profileStats = profile.registered ? await fetchProfile(profile.id) : await registerProfile(profile);
+    } catch (error) {
+        console.error('Error loading profile:', error);
+    }
+    renderProfile();
+    if (profileStats) {
+        syncUnlockedAchievements();
+    }
+}
+
+// Both sides end up with every achievement either of them knows
+async function syncUnlockedAchievements() {
+    const missing = mergeUnlocked(profileStats.achievements ?? {});
+    renderAchievements();
+    if (missing.length === 0) return;
+
+    try {
+        profileStats = await syncAchievements(profile, missing);
+    } catch (error) {
+        console.error('Error syncing achievements:', error);
+    }
+}
+
+// Runs without a token could not be verified by the server and do not count
+async function reportRun(run) {
+    if (!profile.registered || !run.runToken) return;
+
+    try {
+        profileStats = await recordRun(profile, run);
+        renderProfile();
+    } catch (error) {
+        console.error('Error recording run:', error);
+    }
+}
+
+async function renameProfile() {
+    const name = profileNameInput.value.trim();
+    if (!name) return;
+
+    profileSaveBtn.disabled = true;
+    profileErrorElement.classList.add('hidden');
+    try {
+        profileStats = await registerProfile(profile, name);
+        renderProfile();
+    } catch (error) {
+        console.error('Error renaming profile:', error);
+        profileErrorElement.textContent = saveErrorMessage(error.code, 'profile.renameFailed');
+        profileErrorElement.classList.remove('hidden');
+    }
+    profileSaveBtn.disabled = false;
+}
+
+// Start screen panels: 'leaderboard', 'daily' or 'profile'
+function togglePanels(panel) {
+    leaderboardPanel.classList.toggle('hidden', panel !== 'leaderboard');
+    dailyPanel.classList.toggle('hidden', panel !== 'daily');
+    profilePanel.classList.toggle('hidden', panel !== 'profile');
+    showLeaderboardBtn.classList.toggle('active', panel === 'leaderboard');
+    showDailyBtn.classList.toggle('active', panel === 'daily');
+    showProfileBtn.classList.toggle('active', panel === 'profile');
+}
+
+function renderProfile() {
+    profileNameInput.value = profile.name;
+    renderCharacterPicker(); // Unlocks depend on the profile stats
+    renderDailyInfo();
+
+    if (!profileStats) {
+        profileStatsElement.innerHTML = `<p class="no-scores">${t('profile.unavailable')}</p>`;
+        profileRunsList.innerHTML = '';
+        return;
+    }
+
+    const lastPlayed = profileStats.lastPlayed ? formatDate(profileStats.lastPlayed) : '-';
+    profileStatsElement.innerHTML = `
+        <div class="stat"><span>${t('profile.bestScore')}</span><strong>${formatNumber(profileStats.bestScore)}</strong></div>
+        <div class="stat"><span>${t('profile.runs')}</span><strong>${formatNumber(profileStats.runs)}</strong></div>
+        <div class="stat"><span>${t('profile.averageHeight')}</span><strong>${formatNumber(profileStats.averageHeight)}</strong></div>
+        <div class="stat"><span>${t('profile.lastPlayed')}</span><strong>${lastPlayed}</strong></div>
+    `;
+
+    if (profileStats.recentRuns.length === 0) {
+        profileRunsList.innerHTML = `<li class="no-scores">${t('profile.noRuns')}</li>`;
+        return;
+    }
+
+    profileRunsList.innerHTML = profileStats.recentRuns.map(run => `
+        <li>
+            <span class="player-name">${formatDate(run.date)}</span>
+            <span class="player-score">${formatNumber(run.score)}</span>
+        </li>
+    `).join('');
+}
+
+function loadSelectedDifficulty() {
+    const stored = localStorage.getItem(DIFFICULTY_KEY);
+    return isDifficulty(stored) ? stored : DEFAULT_DIFFICULTY;
+}
+
+async function selectDifficulty(name) {
+    selectedDifficulty = name;
+    localStorage.setItem(DIFFICULTY_KEY, name);
+    renderDifficultyPicker();
+    renderRaceBestButton();
+
+    highScoreElement.textContent = t('hud.best', { score: 0 });
+    await loadLeaderboard();
+    renderLeaderboard(leaderboardList);
+    updateHighScoreDisplay();
+}
+
+function renderDifficultyPicker() {
+    difficultyButtons.forEach(button => {
+        button.classList.toggle('active', button.dataset.difficulty === selectedDifficulty);
+    });
+}
+
+async function setLeaderboardWindow(timeWindow) {
+    leaderboardWindow = timeWindow;
+    await loadLeaderboard();
+    renderLeaderboard(leaderboardList);
+    renderLeaderboard(gameOverLeaderboardList);
+    updateHighScoreDisplay();
+}
+
+async function showMoreLeaderboard() {
+    await loadLeaderboard({ append: true });
+    renderLeaderboard(leaderboardList);
+    renderLeaderboard(gameOverLeaderboardList);
+}
+
+function renderLeaderboard(listElement = leaderboardList) {
+    // Tabs, player rank and "show more" live next to each list
+    const container = listElement.parentElement;
+    container.querySelector('.leaderboard-difficulty').textContent = t(`difficulty.${selectedDifficulty}`);
+    container.querySelectorAll('.leaderboard-tab').forEach(tab => {
+        tab.classList.toggle('active', tab.dataset.window === leaderboardWindow);
+    });
+    container.querySelector('.show-more-btn').classList.toggle('hidden', cachedLeaderboard.length >= leaderboardTotal);
+    const staleElement = container.querySelector('.stale-badge');
+    staleElement.textContent = leaderboardStaleSince ? t('leaderboard.stale', { date: formatDate(leaderboardStaleSince) }) : '';
+    staleElement.classList.toggle('hidden', !leaderboardStaleSince);
+    const rankElement = container.querySelector('.player-rank');
+    rankElement.textContent = playerRank ? t('leaderboard.playerRank', { rank: formatNumber(playerRank) }) : '';
+    rankElement.classList.toggle('hidden', !playerRank);
+
+    if (cachedLeaderboard.length === 0) {
+        listElement.innerHTML = `<li class="no-scores">${t('leaderboard.empty')}</li>`;
+        return;
+    }
+
+    // Other runs' stats can be compared with our last one on the game-over screen
+    const compareStats = listElement === gameOverLeaderboardList && Boolean(lastRun?.stats);
+    listElement.innerHTML = cachedLeaderboard.map((entry, index) => `
+        <li>
+            <span class="rank">#${formatNumber(entry.rank ?? index + 1)}</span>
+            <span class="player-name">${escapeHtml(entry.name)}</span>
+            <span class="score-date">${formatDate(entry.date, { time: false })}</span>
+            <span class="player-score">${formatNumber(entry.score)}</span>
+            ${entry.hasGhost ? `<button class="watch-replay race-ghost" data-id="${entry.id}" title="${t('ghost.race')}">&#128123;</button>` : ''}
+            ${entry.hasReplay ? `<button class="watch-replay" data-id="${entry.id}" title="${t('replay.watch')}">&#9654;</button>` : ''}
+            ${entry.hasStats && compareStats ? `<button class="watch-replay compare-stats" data-id="${entry.id}" title="${t('stats.compare')}">&#128202;</button>` : ''}
+        </li>
+    `).join('');
+}
+
+function updateHighScoreDisplay() {
+    // Only the all-time board knows the overall best
+    if (leaderboardWindow === 'all' && cachedLeaderboard.length > 0) {
+        highScoreElement.textContent = t('hud.best', { score: formatNumber(cachedLeaderboard[0].score) });
+    }
+}
+
+async function updateLeaderboardDisplay(listElement = leaderboardList) {
+    await loadLeaderboard();
+    renderLeaderboard(listElement);
+}
+
+// Re-render everything built in code after the language was switched
+function refreshTexts() {
+    highScoreElement.textContent = t('hud.best', { score: 0 });
+    updateHighScoreDisplay();
+    // Before the first run the HUD shows a fresh runner's zeroes
+    (runners.length > 0 ? runners : [createRunner(0)]).forEach(runner => {
+        updateScoreHud(runner);
+        updatePowerUpHud(runner);
+    });
+    renderLeaderboard(leaderboardList);
+    renderLeaderboard(gameOverLeaderboardList);
+    renderProfile();
+    renderBindings();
+    renderQueuedScores(queuedScoreCount);
+    renderCharacterPicker();
+    renderLoadingStatus();
+    renderRaceBestButton();
+    renderDailyInfo();
+    renderDailyBoard();
+    renderDailyWinners();
+    renderAchievements();
+    if (lastRun?.stats) {
+        renderRunStats();
+    }
+    if (versusResult) {
+        renderWinnerScreen();
+    }
+    if (ghostObject) {
+        updateGhostHud();
+    }
+    renderLobby();
+    updateOnlineHud();
+    finalDifficultyElement.textContent = t(`difficulty.${currentDifficulty}`);
+    if (activeReplay) {
+        updateReplayControls();
+    }
+}
+
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+function onWindowResize() {
     renderer.setSize(window.innerWidth, window.innerHeight);
+    updateViewports();
+}
+
+// Versus mode splits the screen into side-by-side halves, one per camera
+function updateViewports() {
+    const aspect = window.innerWidth / (versusMode ? 2 : 1) / window.innerHeight;
+    for (const camera of cameras) {
+        camera.aspect = aspect;
+        camera.updateProjectionMatrix();
+    }
+}
+
+function savePreviousState(runner) {
+    runner.previous.x = runner.object.position.x;
+    runner.previous.y = runner.object.position.y;
+    runner.previous.cameraY = runner.camera.position.y;
+}
+
+// One simulation tick - always advances the world by exactly FIXED_TIMESTEP
+function step() {
+    runners.forEach(savePreviousState);
+
+    updatePlatforms();
+    runners.forEach(runner => updatePlayer(runner, FIXED_TIMESTEP));
+    if (!gameOverTriggered) {
+        reportAchievement('tick', { height: runners[0].maxHeight });
+    }
+    if (ghostObject) {
+        updateGhostHud();
+    }
+    if (onlineMode && !gameOverTriggered && tick % POSITION_INTERVAL === 0) {
+        sendPosition();
+    }
+    updateCollectibles();
+    updateEffects();
+    runners.forEach(runner => updateCamera(runner, FIXED_TIMESTEP));
+    updateSceneFollow();
+    addNewPlatforms();
+    tick++;
+
+    if (versusMode && runners.some(runner => runner.fell) && !gameOverTriggered) {
+        versusOver();
+    }
+}
+
+// Draw the world blended between the last two ticks so motion stays smooth
+// on displays faster or slower than the tick rate
+function renderInterpolated(alpha) {
+    const current = runners.map(({ object, camera, previous }) => {
+        const state = { x: object.position.x, y: object.position.y, cameraY: camera.position.y };
+        object.position.x = previous.x + (state.x - previous.x) * alpha;
+        object.position.y = previous.y + (state.y - previous.y) * alpha;
+        camera.position.y = previous.cameraY + (state.cameraY - previous.cameraY) * alpha;
+        return state;
+    });
+    if (ghostObject) {
+        placeGhost(tick - 2 + alpha);
+    }
+    placeRemotePlayers(tick - 2 - REMOTE_DELAY_TICKS + alpha);
+
+    if (versusMode) {
+        const width = window.innerWidth / 2;
+        renderer.setScissorTest(true);
+        runners.forEach(runner => {
+            renderer.setViewport(runner.index * width, 0, width, window.innerHeight);
+            renderer.setScissor(runner.index * width, 0, width, window.innerHeight);
+            renderer.render(scene, runner.camera);
+        });
+        renderer.setScissorTest(false);
+        renderer.setViewport(0, 0, window.innerWidth, window.innerHeight);
+    } else {
+        renderer.render(scene, runners[0].camera);
+    }
+
+    runners.forEach(({ object, camera }, index) => {
+        object.position.x = current[index].x;
+        object.position.y = current[index].y;
+        camera.position.y = current[index].cameraY;
+    });
 }
 
 let lastTime = 0;
-function animate(currentTime = 0) {
+function animate(currentTime) {
     if (!gameRunning) return;
 
-    requestAnimationFrame(animate);
+    animationFrameId = requestAnimationFrame(animate);
 
-    const deltaTime = Math.min((currentTime - lastTime) / 1000, 0.1); // Cap delta time
+    const frameTime = Math.min(Math.max((currentTime - lastTime) / 1000, 0), MAX_FRAME_TIME);
     lastTime = currentTime;
-    gameTime += deltaTime;
 
-    updatePlayer(deltaTime);
-    updateCamera(deltaTime);
-    addNewPlatforms();
+    // Replays can be paused or fast-forwarded - live runs always play at 1x
+    if (activeReplay) {
+        accumulator += activeReplay.paused ? 0 : frameTime * activeReplay.speed;
+    } else {
+        accumulator += frameTime;
+    }
+
+    while (accumulator >= FIXED_TIMESTEP && gameRunning) {
+        step();
+        accumulator -= FIXED_TIMESTEP;
+
+        if (activeReplay && !activeReplay.paused && tick >= activeReplay.inputs.length) {
+            finishReplay();
+        }
+    }
+
+    if (activeReplay && !activeReplay.paused) {
+        updateReplayControls();
+    }
 
-    renderer.render(scene, camera);
+    renderInterpolated(accumulator / FIXED_TIMESTEP);
 }
 
 // Initialize the game
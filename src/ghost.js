@@ -0,0 +1,124 @@
+// Ghost tracks - the player's position on every simulation tick, so a later
+// run can race against it. Positions are quantized to 1/100 of a world unit,
+// stored as the change from the previous tick and packed as zigzag varints
+// (most ticks take two bytes), then sent as base64.
+// The score API checks the same size bounds in api/scores.js.
+
+export const GHOST_VERSION = 1;
+export const MAX_GHOST_TICKS = 60 * 60 * 60; // One hour at 60 ticks/s
+export const MAX_GHOST_BYTES_PER_TICK = 6; // Three varint bytes per axis
+
+const PRECISION = 100;
+
+export function createGhostRecorder() {
+    const bytes = [];
+    let lastX = 0;
+    let lastY = 0;
+    let ticks = 0;
+
+    return {
+        record(position) {
+            if (ticks >= MAX_GHOST_TICKS) return;
+
+            const x = Math.round(position.x * PRECISION);
+            const y = Math.round(position.y * PRECISION);
+            writeVarint(bytes, zigzag(x - lastX));
+            writeVarint(bytes, zigzag(y - lastY));
+            lastX = x;
+            lastY = y;
+            ticks++;
+        },
+        get ticks() {
+            return ticks;
+        },
+        encode() {
+            return { version: GHOST_VERSION, ticks, data: toBase64(bytes) };
+        }
+    };
+}
+
+// Validate untrusted ghost data and unpack it into [x0, y0, x1, y1, ...] per tick
+export function decodeGhost(ghost) {
+    if (!ghost || ghost.version !== GHOST_VERSION || typeof ghost.data !== 'string' ||
+        !Number.isInteger(ghost.ticks) || ghost.ticks < 1 || ghost.ticks > MAX_GHOST_TICKS) {
+        throw new Error('Unsupported ghost data');
+    }
+
+    let bytes;
+    try {
+        bytes = fromBase64(ghost.data);
+    } catch (error) {
+        throw new Error('Ghost data is malformed');
+    }
+
+    const positions = new Float32Array(ghost.ticks * 2);
+    const totals = [0, 0]; // Running x and y in quantized units - the axes alternate
+    let offset = 0;
+    for (let i = 0; i < positions.length; i++) {
+        let delta = 0;
+        let shift = 0;
+        let byte;
+        do {
+            if (offset >= bytes.length || shift > 21) {
+                throw new Error('Ghost data is malformed');
+            }
+            byte = bytes[offset++];
+            delta |= (byte & 0x7f) << shift;
+            shift += 7;
+        } while (byte & 0x80);
+        totals[i % 2] += unzigzag(delta);
+        positions[i] = totals[i % 2] / PRECISION;
+    }
+    return positions;
+}
+
+// Position at a (fractional) tick index, blended between recorded ticks;
+// null once the ghost's run is over
+export function ghostPositionAt(positions, index) {
+    const last = positions.length / 2 - 1;
+    if (index > last) {
+        return null;
+    }
+
+    const clamped = Math.max(index, 0);
+    const i = Math.floor(clamped);
+    const next = Math.min(i + 1, last);
+    const alpha = clamped - i;
+    return {
+        x: positions[i * 2] + (positions[next * 2] - positions[i * 2]) * alpha,
+        y: positions[i * 2 + 1] + (positions[next * 2 + 1] - positions[i * 2 + 1]) * alpha
+    };
+}
+
+function zigzag(n) {
+    return n >= 0 ? n * 2 : -n * 2 - 1;
+}
+
+function unzigzag(n) {
+    return n % 2 === 0 ? n / 2 : -(n + 1) / 2;
+}
+
+function writeVarint(bytes, n) {
+    while (n >= 0x80) {
+        bytes.push((n & 0x7f) | 0x80);
+        n = Math.floor(n / 0x80);
+    }
+    bytes.push(n);
+}
+
+function toBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.slice(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+function fromBase64(text) {
+    const binary = atob(text);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
@@ -0,0 +1,86 @@
+// UI translations. Static text in index.html is marked with data-i18n
+// (textContent), data-i18n-placeholder and data-i18n-title attributes;
+// everything rendered from code goes through t(). Messages may contain
+// {name} placeholders filled from the params object.
+
+import cs from './locales/cs.js';
+import en from './locales/en.js';
+
+const LOCALE_KEY = 'towerjump_locale';
+const FALLBACK_LOCALE = 'en';
+const CATALOGS = { cs, en };
+
+// Shown in the language switcher, each in its own language
+export const LOCALE_NAMES = {
+    cs: 'Cestina',
+    en: 'English'
+};
+
+let locale = detectLocale();
+let numberFormat = new Intl.NumberFormat(locale);
+const listeners = [];
+
+// Saved choice first, then the browser's preferred languages
+function detectLocale() {
+    const stored = localStorage.getItem(LOCALE_KEY);
+    if (Object.hasOwn(CATALOGS, stored)) {
+        return stored;
+    }
+    for (const language of navigator.languages || [navigator.language]) {
+        const base = String(language).toLowerCase().split('-')[0];
+        if (Object.hasOwn(CATALOGS, base)) {
+            return base;
+        }
+    }
+    return FALLBACK_LOCALE;
+}
+
+export function getLocale() {
+    return locale;
+}
+
+export function setLocale(next) {
+    if (!Object.hasOwn(CATALOGS, next)) return;
+
+    locale = next;
+    numberFormat = new Intl.NumberFormat(locale);
+    localStorage.setItem(LOCALE_KEY, locale);
+    applyTranslations();
+    listeners.forEach(listener => listener(locale));
+}
+
+// Lets the game re-render text it builds itself
+export function onLocaleChange(listener) {
+    listeners.push(listener);
+}
+
+export function t(key, params = {}) {
+    const message = CATALOGS[locale][key] ?? CATALOGS[FALLBACK_LOCALE][key] ?? key;
+    return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+}
+
+export function formatNumber(value) {
+    return numberFormat.format(value);
+}
+
+// `utc` shows the UTC calendar day, for dates without a time like daily challenges
+export function formatDate(value, { time = true, utc = false } = {}) {
+    const options = time ? { dateStyle: 'short', timeStyle: 'short' } : { dateStyle: 'short' };
+    if (utc) {
+        options.timeZone = 'UTC';
+    }
+    return new Date(value).toLocaleString(locale, options);
+}
+
+export function applyTranslations(root = document) {
+    document.documentElement.lang = locale;
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+        element.textContent = t(element.dataset.i18n);
+    });
+    root.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+        element.placeholder = t(element.dataset.i18nPlaceholder);
+    });
+    root.querySelectorAll('[data-i18n-title]').forEach(element => {
+        element.title = t(element.dataset.i18nTitle);
+    });
+}
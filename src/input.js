@@ -0,0 +1,259 @@
+// Input abstraction - merges keyboard, gamepads and on-screen touch controls
+// into one { left, right, jump } state that the simulation reads each tick.
+// Keyboard and gamepad bindings can be remapped and are kept in localStorage.
+// Versus mode reads each player separately, see readPlayerInput().
+
+import { t } from './i18n.js';
+
+const BINDINGS_KEY = 'towerjump_bindings';
+const STICK_DEADZONE = 0.4;
+const SWIPE_MIN_DISTANCE = 40; // Pixels
+// A swipe holds jump for as long as a full jump rises (jumpForce / -gravity in
+// src/game.js), so releasing it early never cuts the jump short
+const SWIPE_JUMP_TICKS = 27;
+
+export const ACTIONS = ['left', 'right', 'jump'];
+export const KEYBOARD_SLOTS = 3;
+
+// Gamepad buttons use the standard mapping: 0 = A / Cross, 12-15 = d-pad
+const DEFAULT_BINDINGS = {
+    keyboard: {
+        left: ['KeyA', 'ArrowLeft'],
+        right: ['KeyD', 'ArrowRight'],
+        jump: ['Space', 'KeyW', 'ArrowUp']
+    },
+    gamepad: {
+        left: [14],
+        right: [15],
+        jump: [0, 12]
+    }
+};
+
+// Two players share one keyboard in versus mode, so each gets a fixed half of
+// it; gamepads go to players in connection order and use the normal bindings
+const VERSUS_KEYBOARD = [
+    { left: ['KeyA'], right: ['KeyD'], jump: ['KeyW', 'Space'] },
+    { left: ['ArrowLeft'], right: ['ArrowRight'], jump: ['ArrowUp'] }
+];
+
+let bindings = loadBindings();
+let pressedKeys = {};
+let touchState = { left: false, right: false, jump: false };
+let swipeJumpTicks = 0; // Reads left in which a swipe up still holds jump
+let capture = null; // Pending rebinding, resolved by the next key or gamepad button
+let capturePrevButtons = null;
+
+function cloneBindings(source) {
+    return JSON.parse(JSON.stringify(source));
+}
+
+function loadBindings() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(BINDINGS_KEY));
+        if (stored && stored.keyboard && stored.gamepad) {
+            return stored;
+        }
+    } catch (error) {
+        console.error('Error reading key bindings:', error);
+    }
+    return cloneBindings(DEFAULT_BINDINGS);
+}
+
+function saveBindings() {
+    localStorage.setItem(BINDINGS_KEY, JSON.stringify(bindings));
+}
+
+// shouldPreventDefault() tells whether bound keys should be kept from scrolling the page
+export function initInput({ shouldPreventDefault = () => false, touchRoot = null } = {}) {
+    window.addEventListener('keydown', (e) => {
+        if (capture) {
+            e.preventDefault();
+            if (e.code === 'Escape') {
+                finishCapture(null);
+            } else {
+                finishCapture({ device: 'keyboard', code: e.code });
+            }
+            return;
+        }
+
+        pressedKeys[e.code] = true;
+        if (shouldPreventDefault() && isBoundKey(e.code)) {
+            e.preventDefault();
+        }
+    });
+    window.addEventListener('keyup', (e) => {
+        pressedKeys[e.code] = false;
+    });
+    window.addEventListener('blur', clearInput);
+
+    if (touchRoot) {
+        initTouchControls(touchRoot);
+    }
+}
+
+function initTouchControls(touchRoot) {
+    touchRoot.querySelectorAll('[data-action]').forEach(button => {
+        const action = button.dataset.action;
+        const release = () => {
+            touchState[action] = false;
+            button.classList.remove('pressed');
+        };
+        button.addEventListener('pointerdown', (e) => {
+            e.preventDefault();
+            touchState[action] = true;
+            button.classList.add('pressed');
+        });
+        button.addEventListener('pointerup', release);
+        button.addEventListener('pointercancel', release);
+        button.addEventListener('pointerleave', release);
+    });
+
+    // Swipe up anywhere outside the buttons to jump
+    let swipeStart = null;
+    window.addEventListener('touchstart', (e) => {
+        if (e.target.closest('[data-action]')) return;
+        swipeStart = { x: e.touches[0].clientX, y: e.touches[0].clientY };
+    }, { passive: true });
+    window.addEventListener('touchend', (e) => {
+        if (!swipeStart) return;
+        const touch = e.changedTouches[0];
+        const dy = swipeStart.y - touch.clientY;
+        if (dy > SWIPE_MIN_DISTANCE && dy > Math.abs(touch.clientX - swipeStart.x)) {
+            swipeJumpTicks = SWIPE_JUMP_TICKS;
+        }
+        swipeStart = null;
+    });
+
+    // Only show the on-screen buttons once the device has actually been touched
+    window.addEventListener('touchstart', () => {
+        touchRoot.classList.add('touch-enabled');
+    }, { once: true, passive: true });
+}
+
+function isBoundKey(code) {
+    return ACTIONS.some(action => bindings.keyboard[action].includes(code) ||
+        VERSUS_KEYBOARD.some(keys => keys[action].includes(code)));
+}
+
+// Current state of all devices combined
+export function readInput() {
+    const input = { left: false, right: false, jump: false };
+
+    for (const action of ACTIONS) {
+        input[action] = bindings.keyboard[action].some(code => pressedKeys[code]) || touchState[action];
+    }
+
+    for (const pad of navigator.getGamepads ? navigator.getGamepads() : []) {
+        if (pad) readGamepad(pad, input);
+    }
+
+    if (swipeJumpTicks > 0) {
+        input.jump = true;
+        swipeJumpTicks--;
+    }
+
+    return input;
+}
+
+// State of one versus player - their keyboard half and their own gamepad
+export function readPlayerInput(player) {
+    const input = { left: false, right: false, jump: false };
+    const keys = VERSUS_KEYBOARD[player];
+
+    for (const action of ACTIONS) {
+        input[action] = keys[action].some(code => pressedKeys[code]);
+    }
+
+    const pads = navigator.getGamepads ? Array.from(navigator.getGamepads()).filter(Boolean) : [];
+    if (pads[player]) {
+        readGamepad(pads[player], input);
+    }
+
+    return input;
+}
+
+function readGamepad(pad, input) {
+    for (const action of ACTIONS) {
+        if (bindings.gamepad[action].some(index => pad.buttons[index]?.pressed)) {
+            input[action] = true;
+        }
+    }
+    if (pad.axes[0] < -STICK_DEADZONE) input.left = true;
+    if (pad.axes[0] > STICK_DEADZONE) input.right = true;
+}
+
+export function clearInput() {
+    pressedKeys = {};
+    touchState = { left: false, right: false, jump: false };
+    swipeJumpTicks = 0;
+}
+
+export function getBindings() {
+    return cloneBindings(bindings);
+}
+
+// Bind a key or gamepad button to an action, taking it away from any other action
+export function setBinding(action, { device, code }, slot = 0) {
+    for (const other of ACTIONS) {
+        bindings[device][other] = bindings[device][other].filter(c => c !== code);
+    }
+    const list = bindings[device][action];
+    list[Math.min(slot, list.length)] = code;
+    saveBindings();
+}
+
+export function resetBindings() {
+    bindings = cloneBindings(DEFAULT_BINDINGS);
+    saveBindings();
+}
+
+// Resolves with the next key ({ device: 'keyboard', code }) or gamepad button
+// ({ device: 'gamepad', code: index }) pressed, or null when cancelled with Escape
+export function captureNextBinding() {
+    if (capture) {
+        finishCapture(null);
+    }
+    return new Promise(resolve => {
+        capture = resolve;
+        capturePrevButtons = null;
+        requestAnimationFrame(pollCaptureGamepads);
+    });
+}
+
+function pollCaptureGamepads() {
+    if (!capture) return;
+
+    const pads = navigator.getGamepads ? Array.from(navigator.getGamepads()).filter(Boolean) : [];
+    const pressed = pads.map(pad => pad.buttons.map(b => b.pressed));
+    if (capturePrevButtons) {
+        for (let p = 0; p < pressed.length; p++) {
+            const index = pressed[p].findIndex((isPressed, i) => isPressed && !capturePrevButtons[p]?.[i]);
+            if (index !== -1) {
+                finishCapture({ device: 'gamepad', code: index });
+                return;
+            }
+        }
+    }
+    capturePrevButtons = pressed;
+    requestAnimationFrame(pollCaptureGamepads);
+}
+
+function finishCapture(binding) {
+    const resolve = capture;
+    capture = null;
+    resolve(binding);
+}
+
+export function formatBinding(device, code) {
+    if (code === undefined) return '-';
+    if (device === 'gamepad') return t('key.gamepadButton', { index: code });
+
+    const names = {
+        Space: 'key.space',
+        ArrowLeft: 'key.arrowLeft',
+        ArrowRight: 'key.arrowRight',
+        ArrowUp: 'key.arrowUp',
+        ArrowDown: 'key.arrowDown'
+    };
+    return names[code] ? t(names[code]) : code.replace(/^Key|^Digit/, '');
+}
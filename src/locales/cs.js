@@ -0,0 +1,221 @@
+// Czech messages - the game's original language
+export default {
+    'hud.score': 'Skore: {score}',
+    'hud.best': 'Nejlepsi: {score}',
+    'hud.coins': 'Mince: {count}',
+    'hud.doubleJump': 'Dvojskok: {count}',
+    'hud.slowMo': 'Zpomaleni',
+    'hud.shield': 'Stit',
+    'hud.ghost': '{name}: {difference}',
+    'hud.ghostFinished': '{name}: duch dohral',
+
+    'start.tagline': 'Skakej nahoru po platformach!',
+    'start.controls': 'Ovladani:',
+    'start.controlsLeft': 'A / Sipka vlevo - pohyb vlevo',
+    'start.controlsRight': 'D / Sipka vpravo - pohyb vpravo',
+    'start.controlsJump': 'Mezernik / W / Sipka nahoru - skok',
+    'start.controlsOther': 'Gamepad i dotykove ovladani - ovladani lze zmenit v nastaveni',
+    'start.difficulty': 'Obtiznost',
+    'start.seed': 'Seed veze',
+    'start.seedPlaceholder': 'nahodny',
+    'start.start': 'Start',
+    'start.language': 'Jazyk',
+    'start.character': 'Postava',
+
+    'loading.progress': 'Nacitani... {percent} %',
+    'loading.failed': 'Model postavy se nepodarilo nacist. Muzes to zkusit znovu, nebo hrat s nahradni postavou.',
+    'loading.retry': 'Zkusit znovu',
+
+    'character.madara': 'Madara',
+    'character.runner': 'Bezec',
+    'character.robot': 'Robot',
+    'character.veteran': 'Veteran',
+    'character.shadow': 'Stin',
+    'character.golden': 'Zlaty',
+    'character.unlock.runs': 'Odemkne se po {value} hrach',
+    'character.unlock.bestScore': 'Odemkne se se skore {value}',
+
+    'difficulty.easy': 'Lehka',
+    'difficulty.normal': 'Normalni',
+    'difficulty.hard': 'Tezka',
+    'difficulty.insane': 'Silena',
+
+    'leaderboard.title': 'Zebricek',
+    'leaderboard.today': 'Dnes',
+    'leaderboard.week': 'Tyden',
+    'leaderboard.all': 'Celkove',
+    'leaderboard.showMore': 'Zobrazit dalsi',
+    'leaderboard.empty': 'Zatim zadne skore',
+    'leaderboard.playerRank': 'Tvoje poradi: #{rank}',
+    'leaderboard.stale': 'Offline - stav z {date}',
+    'leaderboard.queued': 'Neodeslana skore: {count}',
+
+    'daily.start': 'Denni vyzva',
+    'daily.title': 'Denni vyzva',
+    'daily.info': 'Vez dne {date} - {difficulty} - dnesni pokusy: {attempts}',
+    'daily.profileRequired': 'Denni vyzva potrebuje registrovany profil hrace. Pokud se registrace nepovedla, uloz jmeno v profilu a zkus to znovu.',
+    'daily.today': 'Dnes ({date})',
+    'daily.attempts': 'Pokusy: {count}',
+    'daily.empty': 'Tento den zatim nikdo nehral',
+    'daily.unavailable': 'Denni zebricek neni k dispozici',
+    'daily.pastWinners': 'Vitezove predchozich dnu',
+    'daily.noWinners': 'Zatim zadni vitezove',
+
+    'profile.title': 'Profil',
+    'profile.namePlaceholder': 'Zadej jmeno',
+    'profile.defaultName': 'Hrac-{id}',
+    'profile.save': 'Ulozit',
+    'profile.recentRuns': 'Posledni hry',
+    'profile.unavailable': 'Profil neni k dispozici',
+    'profile.noRuns': 'Zatim zadne hry',
+    'profile.bestScore': 'Nejlepsi skore',
+    'profile.runs': 'Pocet her',
+    'profile.averageHeight': 'Prumerna vyska',
+    'profile.lastPlayed': 'Naposledy hrano',
+    'profile.renameFailed': 'Jmeno se nepodarilo ulozit.',
+
+    'gameOver.title': 'Game Over',
+    'gameOver.score': 'Tvoje skore:',
+    'gameOver.seed': 'Seed:',
+    'gameOver.difficulty': 'Obtiznost:',
+    'gameOver.newHighScore': 'Nove rekordni skore!',
+    'gameOver.saveScore': 'Ulozit skore',
+    'gameOver.saving': 'Ukladam...',
+    'gameOver.playAgain': 'Hrat znovu',
+
+    'pause.title': 'Pauza',
+    'pause.resume': 'Pokracovat',
+    'pause.quit': 'Hlavni menu',
+
+    'settings.title': 'Nastaveni',
+    'settings.controls': 'Ovladani',
+    'settings.keyboard': 'Klavesnice',
+    'settings.gamepad': 'Gamepad',
+    'settings.resetBindings': 'Vychozi ovladani',
+    'settings.pressKey': 'Stiskni klavesu...',
+    'settings.pressButton': 'Stiskni tlacitko...',
+    'settings.sound': 'Zvuk',
+    'settings.volume': 'Hlasitost',
+    'settings.mute': 'Ztlumit',
+    'settings.close': 'Zavrit',
+
+    'action.left': 'Pohyb vlevo',
+    'action.right': 'Pohyb vpravo',
+    'action.jump': 'Skok',
+
+    'key.space': 'Mezernik',
+    'key.arrowLeft': 'Sipka vlevo',
+    'key.arrowRight': 'Sipka vpravo',
+    'key.arrowUp': 'Sipka nahoru',
+    'key.arrowDown': 'Sipka dolu',
+    'key.gamepadButton': 'Tlacitko {index}',
+
+    'replay.watch': 'Prehrat zaznam',
+    'replay.download': 'Stahnout zaznam',
+    'replay.play': 'Prehrat',
+    'replay.pause': 'Pauza',
+    'replay.exit': 'Konec',
+    'replay.invalid': 'Neplatny zaznam.',
+    'replay.loadFailed': 'Zaznam se nepodarilo nacist.',
+
+    'versus.start': 'Dva hraci',
+    'versus.controls': 'Hrac 1: A / D a W, hrac 2: sipky - nebo dva gamepady',
+    'versus.player': 'Hrac {player}',
+    'versus.winner': 'Vyhral hrac {player}!',
+    'versus.draw': 'Remiza!',
+    'versus.rematch': 'Odveta',
+
+    'online.open': 'Zavod online',
+    'online.title': 'Zavod online',
+    'online.create': 'Zalozit mistnost',
+    'online.codePlaceholder': 'Kod',
+    'online.join': 'Pripojit',
+    'online.code': 'Kod mistnosti:',
+    'online.results': 'Vysledky',
+    'online.start': 'Spustit zavod',
+    'online.leave': 'Odejit',
+    'online.connecting': 'Pripojovani...',
+    'online.host': 'hostitel',
+    'online.you': '{name} (ty)',
+    'online.climbing': 'leze',
+    'online.fell': 'spadl',
+    'online.hostHint': 'Zavod pouzije tvou obtiznost a seed z uvodni obrazovky.',
+    'online.needPlayers': 'Ceka se na dalsiho hrace...',
+    'online.waitingForHost': 'Ceka se, az hostitel spusti zavod...',
+    'online.racing': 'Zavod bezi...',
+    'online.placed': 'Spadl jsi - {place}. misto. Ceka se na ostatni...',
+    'online.place': '{place}.',
+    'online.playersLeft': 'Zbyva hracu: {count}',
+    'online.error.ROOM_NOT_FOUND': 'Mistnost neexistuje.',
+    'online.error.ROOM_FULL': 'Mistnost je plna.',
+    'online.error.ROOM_STARTED': 'Zavod v teto mistnosti uz bezi.',
+    'online.error.NOT_ENOUGH_PLAYERS': 'Zavod potrebuje aspon dva hrace.',
+    'online.error.INVALID_NAME': 'Zadej jmeno.',
+    'online.error.SERVER_FULL': 'Server je plny, zkus to pozdeji.',
+    'online.error.CONNECTION_FAILED': 'K serveru mistnosti se nepodarilo pripojit.',
+    'online.error.DISCONNECTED': 'Spojeni se serverem bylo preruseno.',
+    'online.error.DEFAULT': 'Neco se pokazilo.',
+
+    'stats.thisRun': 'Tato hra',
+    'stats.personalBest': 'Osobni rekord',
+    'stats.time': 'Cas ve hre',
+    'stats.jumps': 'Skoky',
+    'stats.landings': 'Dopady',
+    'stats.longestAirtime': 'Nejdelsi let',
+    'stats.highestPoint': 'Nejvyssi bod',
+    'stats.averageClearance': 'Prumerna vyska nad okrajem',
+    'stats.peakScrollSpeed': 'Nejvyssi rychlost posunu',
+    'stats.seconds': '{value} s',
+    'stats.speed': '{value}/s',
+    'stats.compare': 'Porovnat s mou hrou',
+    'stats.loadFailed': 'Statistiky hry se nepodarilo nacist.',
+
+    'achievements.title': 'Uspechy',
+    'achievements.progress': 'Odemceno {count} z {total}',
+    'achievements.unlocked': 'Uspech odemcen',
+    'achievements.unlockedOn': 'Odemceno {date}',
+    'achievement.firstLanding.name': 'Prvni krok',
+    'achievement.firstLanding.description': 'Dopadni na plosinu.',
+    'achievement.hopper.name': 'Skokan',
+    'achievement.hopper.description': 'Dopadni 100krat v jedne hre.',
+    'achievement.tireless.name': 'Neunavny',
+    'achievement.tireless.description': 'Dopadni celkem 1000krat.',
+    'achievement.height50.name': 'Jde se nahoru',
+    'achievement.height50.description': 'Vyslapej do vysky 50.',
+    'achievement.height150.name': 'Nad mraky',
+    'achievement.height150.description': 'Vyslapej do vysky 150.',
+    'achievement.height300.name': 'Mrakodrap',
+    'achievement.height300.description': 'Vyslapej do vysky 300.',
+    'achievement.closeCall.name': 'O vlasek',
+    'achievement.closeCall.description': 'Dopadni tesne nad spodnim okrajem.',
+    'achievement.escapeArtist.name': 'Unikovy umelec',
+    'achievement.escapeArtist.description': 'Unikni spodnimu okraji 5krat v jedne hre.',
+    'achievement.zen.name': 'Zen',
+    'achievement.zen.description': 'Vydrz 3 sekundy bez skoku.',
+    'achievement.monk.name': 'Mnich',
+    'achievement.monk.description': 'Vydrz 8 sekund bez skoku.',
+    'achievement.regular.name': 'Stamgast',
+    'achievement.regular.description': 'Odehraj 10 her.',
+    'achievement.veteran.name': 'Veteran',
+    'achievement.veteran.description': 'Odehraj 100 her.',
+
+    'ghost.race': 'Zavodit s duchem',
+    'ghost.raceBest': 'Zavodit s rekordem ({score})',
+    'ghost.personalBest': 'Rekord',
+    'ghost.invalid': 'Neplatna data ducha.',
+    'ghost.loadFailed': 'Ducha se nepodarilo nacist.',
+
+    'save.RUN_TOKEN_MISSING': 'Hra nebyla zaregistrovana na serveru, skore nelze ulozit.',
+    'save.RUN_TOKEN_INVALID': 'Server neuznal tuto hru, skore nelze ulozit.',
+    'save.RUN_TOKEN_EXPIRED': 'Hra je prilis stara, skore uz nelze ulozit.',
+    'save.RUN_TOKEN_USED': 'Skore teto hry uz je ulozene.',
+    'save.SEED_MISMATCH': 'Skore nepatri k teto vezi.',
+    'save.DIFFICULTY_MISMATCH': 'Skore nepatri k teto obtiznosti.',
+    'save.RUN_PLAYER_MISMATCH': 'Denni vyzvu spustil jiny profil.',
+    'save.SCORE_IMPOSSIBLE': 'Server skore odmitl - neodpovida delce hry.',
+    'save.NAME_TAKEN': 'Toto jmeno uz pouziva jiny hrac.',
+    'save.PLAYER_AUTH_FAILED': 'Profil hrace se nepodarilo overit.',
+    'save.QUEUED': 'Server neni dostupny - skore se odesle automaticky, az budes online.',
+    'save.queuedRejected': 'Offline skore {score} nebylo ulozeno',
+    'save.DEFAULT': 'Chyba pri ukladani skore. Zkus to znovu.'
+};
@@ -0,0 +1,221 @@
+// English messages - also the fallback for missing keys and unsupported languages
+export default {
+    'hud.score': 'Score: {score}',
+    'hud.best': 'Best: {score}',
+    'hud.coins': 'Coins: {count}',
+    'hud.doubleJump': 'Double jump: {count}',
+    'hud.slowMo': 'Slow-mo',
+    'hud.shield': 'Shield',
+    'hud.ghost': '{name}: {difference}',
+    'hud.ghostFinished': '{name}: ghost finished',
+
+    'start.tagline': 'Jump your way up the platforms!',
+    'start.controls': 'Controls:',
+    'start.controlsLeft': 'A / Left arrow - move left',
+    'start.controlsRight': 'D / Right arrow - move right',
+    'start.controlsJump': 'Space / W / Up arrow - jump',
+    'start.controlsOther': 'Gamepad and touch work too - controls can be changed in settings',
+    'start.difficulty': 'Difficulty',
+    'start.seed': 'Tower seed',
+    'start.seedPlaceholder': 'random',
+    'start.start': 'Start',
+    'start.language': 'Language',
+    'start.character': 'Character',
+
+    'loading.progress': 'Loading... {percent}%',
+    'loading.failed': 'The character model could not be loaded. Try again, or play with a stand-in character.',
+    'loading.retry': 'Try again',
+
+    'character.madara': 'Madara',
+    'character.runner': 'Runner',
+    'character.robot': 'Robot',
+    'character.veteran': 'Veteran',
+    'character.shadow': 'Shadow',
+    'character.golden': 'Golden',
+    'character.unlock.runs': 'Unlocks after {value} runs',
+    'character.unlock.bestScore': 'Unlocks at a best score of {value}',
+
+    'difficulty.easy': 'Easy',
+    'difficulty.normal': 'Normal',
+    'difficulty.hard': 'Hard',
+    'difficulty.insane': 'Insane',
+
+    'leaderboard.title': 'Leaderboard',
+    'leaderboard.today': 'Today',
+    'leaderboard.week': 'Week',
+    'leaderboard.all': 'All time',
+    'leaderboard.showMore': 'Show more',
+    'leaderboard.empty': 'No scores yet',
+    'leaderboard.playerRank': 'Your rank: #{rank}',
+    'leaderboard.stale': 'Offline - as of {date}',
+    'leaderboard.queued': 'Unsent scores: {count}',
+
+    'daily.start': 'Daily challenge',
+    'daily.title': 'Daily challenge',
+    'daily.info': 'Tower of {date} - {difficulty} - attempts today: {attempts}',
+    'daily.profileRequired': 'The daily challenge needs a registered player profile. If registration failed, save your name in the profile to try again.',
+    'daily.today': 'Today ({date})',
+    'daily.attempts': 'Attempts: {count}',
+    'daily.empty': 'Nobody has played this day yet',
+    'daily.unavailable': 'Daily leaderboard is not available',
+    'daily.pastWinners': 'Winners of previous days',
+    'daily.noWinners': 'No winners yet',
+
+    'profile.title': 'Profile',
+    'profile.namePlaceholder': 'Enter your name',
+    'profile.defaultName': 'Player-{id}',
+    'profile.save': 'Save',
+    'profile.recentRuns': 'Recent runs',
+    'profile.unavailable': 'Profile is not available',
+    'profile.noRuns': 'No runs yet',
+    'profile.bestScore': 'Best score',
+    'profile.runs': 'Runs played',
+    'profile.averageHeight': 'Average height',
+    'profile.lastPlayed': 'Last played',
+    'profile.renameFailed': 'Could not save the name.',
+
+    'gameOver.title': 'Game Over',
+    'gameOver.score': 'Your score:',
+    'gameOver.seed': 'Seed:',
+    'gameOver.difficulty': 'Difficulty:',
+    'gameOver.newHighScore': 'New high score!',
+    'gameOver.saveScore': 'Save score',
+    'gameOver.saving': 'Saving...',
+    'gameOver.playAgain': 'Play again',
+
+    'pause.title': 'Paused',
+    'pause.resume': 'Resume',
+    'pause.quit': 'Main menu',
+
+    'settings.title': 'Settings',
+    'settings.controls': 'Controls',
+    'settings.keyboard': 'Keyboard',
+    'settings.gamepad': 'Gamepad',
+    'settings.resetBindings': 'Default controls',
+    'settings.pressKey': 'Press a key...',
+    'settings.pressButton': 'Press a button...',
+    'settings.sound': 'Sound',
+    'settings.volume': 'Volume',
+    'settings.mute': 'Mute',
+    'settings.close': 'Close',
+
+    'action.left': 'Move left',
+    'action.right': 'Move right',
+    'action.jump': 'Jump',
+
+    'key.space': 'Space',
+    'key.arrowLeft': 'Left arrow',
+    'key.arrowRight': 'Right arrow',
+    'key.arrowUp': 'Up arrow',
+    'key.arrowDown': 'Down arrow',
+    'key.gamepadButton': 'Button {index}',
+
+    'replay.watch': 'Watch replay',
+    'replay.download': 'Download replay',
+    'replay.play': 'Play',
+    'replay.pause': 'Pause',
+    'replay.exit': 'Exit',
+    'replay.invalid': 'Invalid replay.',
+    'replay.loadFailed': 'Could not load the replay.',
+
+    'versus.start': 'Two players',
+    'versus.controls': 'Player 1: A / D and W, player 2: arrow keys - or two gamepads',
+    'versus.player': 'Player {player}',
+    'versus.winner': 'Player {player} wins!',
+    'versus.draw': 'Draw!',
+    'versus.rematch': 'Rematch',
+
+    'online.open': 'Online race',
+    'online.title': 'Online race',
+    'online.create': 'Create room',
+    'online.codePlaceholder': 'Code',
+    'online.join': 'Join',
+    'online.code': 'Room code:',
+    'online.results': 'Results',
+    'online.start': 'Start race',
+    'online.leave': 'Leave',
+    'online.connecting': 'Connecting...',
+    'online.host': 'host',
+    'online.you': '{name} (you)',
+    'online.climbing': 'climbing',
+    'online.fell': 'fell',
+    'online.hostHint': 'The race uses your difficulty and seed from the start screen.',
+    'online.needPlayers': 'Waiting for another player...',
+    'online.waitingForHost': 'Waiting for the host to start the race...',
+    'online.racing': 'Race in progress...',
+    'online.placed': 'You fell - place {place}. Waiting for the others...',
+    'online.place': '{place}.',
+    'online.playersLeft': 'Players left: {count}',
+    'online.error.ROOM_NOT_FOUND': 'Room not found.',
+    'online.error.ROOM_FULL': 'The room is full.',
+    'online.error.ROOM_STARTED': 'The race in this room has already started.',
+    'online.error.NOT_ENOUGH_PLAYERS': 'A race needs at least two players.',
+    'online.error.INVALID_NAME': 'Enter a name.',
+    'online.error.SERVER_FULL': 'The server is full, try again later.',
+    'online.error.CONNECTION_FAILED': 'Could not connect to the room server.',
+    'online.error.DISCONNECTED': 'Lost the connection to the room server.',
+    'online.error.DEFAULT': 'Something went wrong.',
+
+    'stats.thisRun': 'This run',
+    'stats.personalBest': 'Personal best',
+    'stats.time': 'Time alive',
+    'stats.jumps': 'Jumps',
+    'stats.landings': 'Landings',
+    'stats.longestAirtime': 'Longest airtime',
+    'stats.highestPoint': 'Highest point',
+    'stats.averageClearance': 'Average distance above the edge',
+    'stats.peakScrollSpeed': 'Top scroll speed',
+    'stats.seconds': '{value} s',
+    'stats.speed': '{value}/s',
+    'stats.compare': 'Compare with my run',
+    'stats.loadFailed': 'Could not load the run statistics.',
+
+    'achievements.title': 'Achievements',
+    'achievements.progress': 'Unlocked {count} of {total}',
+    'achievements.unlocked': 'Achievement unlocked',
+    'achievements.unlockedOn': 'Unlocked {date}',
+    'achievement.firstLanding.name': 'First Step',
+    'achievement.firstLanding.description': 'Land on a platform.',
+    'achievement.hopper.name': 'Hopper',
+    'achievement.hopper.description': 'Land 100 times in one run.',
+    'achievement.tireless.name': 'Tireless',
+    'achievement.tireless.description': 'Land 1000 times in total.',
+    'achievement.height50.name': 'Up We Go',
+    'achievement.height50.description': 'Climb to a height of 50.',
+    'achievement.height150.name': 'Cloud Walker',
+    'achievement.height150.description': 'Climb to a height of 150.',
+    'achievement.height300.name': 'Skyscraper',
+    'achievement.height300.description': 'Climb to a height of 300.',
+    'achievement.closeCall.name': 'Close Call',
+    'achievement.closeCall.description': 'Land just above the bottom edge.',
+    'achievement.escapeArtist.name': 'Escape Artist',
+    'achievement.escapeArtist.description': 'Escape the bottom edge 5 times in one run.',
+    'achievement.zen.name': 'Zen',
+    'achievement.zen.description': 'Go 3 seconds without jumping.',
+    'achievement.monk.name': 'Monk',
+    'achievement.monk.description': 'Go 8 seconds without jumping.',
+    'achievement.regular.name': 'Regular',
+    'achievement.regular.description': 'Play 10 runs.',
+    'achievement.veteran.name': 'Veteran',
+    'achievement.veteran.description': 'Play 100 runs.',
+
+    'ghost.race': 'Race the ghost',
+    'ghost.raceBest': 'Race your best ({score})',
+    'ghost.personalBest': 'Best',
+    'ghost.invalid': 'Invalid ghost data.',
+    'ghost.loadFailed': 'Could not load the ghost.',
+
+    'save.RUN_TOKEN_MISSING': 'The run was not registered with the server, the score cannot be saved.',
+    'save.RUN_TOKEN_INVALID': 'The server did not accept this run, the score cannot be saved.',
+    'save.RUN_TOKEN_EXPIRED': 'The run is too old, the score can no longer be saved.',
+    'save.RUN_TOKEN_USED': 'The score of this run has already been saved.',
+    'save.SEED_MISMATCH': 'The score does not belong to this tower.',
+    'save.DIFFICULTY_MISMATCH': 'The score does not belong to this difficulty.',
+    'save.RUN_PLAYER_MISMATCH': 'The daily challenge was started by another profile.',
+    'save.SCORE_IMPOSSIBLE': 'The server rejected the score - it does not match the length of the run.',
+    'save.NAME_TAKEN': 'This name is already used by another player.',
+    'save.PLAYER_AUTH_FAILED': 'Could not verify the player profile.',
+    'save.QUEUED': 'The server is unreachable - the score will be sent automatically once you are online.',
+    'save.queuedRejected': 'Offline score {score} was not saved',
+    'save.DEFAULT': 'Error saving the score. Please try again.'
+};
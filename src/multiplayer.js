@@ -0,0 +1,84 @@
+// Client side of online races - the WebSocket connection to the room server
+// (api/_lib/rooms.js) and smoothing of the other players' positions.
+// VITE_ROOMS_URL points at a separately hosted room server; by default it is
+// expected on the same host, as the dev and preview servers provide it.
+
+export const POSITION_INTERVAL = 3; // Ticks between our position updates
+export const REMOTE_DELAY_TICKS = 2 * POSITION_INTERVAL; // Others are drawn this far behind, so there is a next sample to blend toward
+
+const MAX_TRACK_SAMPLES = 60;
+
+function roomsUrl() {
+    if (import.meta.env.VITE_ROOMS_URL) {
+        return import.meta.env.VITE_ROOMS_URL;
+    }
+    const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+    return `${protocol}//${window.location.host}/api/rooms`;
+}
+
+// Resolves once connected; rejects when the server cannot be reached.
+// onClose is only called for connections that were open.
+export function connectToRooms({ onMessage, onClose }) {
+    return new Promise((resolve, reject) => {
+        const socket = new WebSocket(roomsUrl());
+        let opened = false;
+
+        socket.addEventListener('open', () => {
+            opened = true;
+            resolve({
+                send(message) {
+                    if (socket.readyState === WebSocket.OPEN) {
+                        socket.send(JSON.stringify(message));
+                    }
+                },
+                close() {
+                    socket.close();
+                }
+            });
+        });
+        socket.addEventListener('message', (e) => {
+            let message;
+            try {
+                message = JSON.parse(e.data);
+            } catch (error) {
+                return;
+            }
+            onMessage(message);
+        });
+        socket.addEventListener('close', () => {
+            if (opened) {
+                onClose();
+            } else {
+                reject(new Error('Room server is not reachable'));
+            }
+        });
+    });
+}
+
+// Recent position samples of one remote player, keyed by their tick
+export function createRemoteTrack() {
+    const samples = [];
+
+    return {
+        push(tick, x, y) {
+            if (samples.length > 0 && tick <= samples[samples.length - 1].tick) return;
+            samples.push({ tick, x, y });
+            if (samples.length > MAX_TRACK_SAMPLES) {
+                samples.shift();
+            }
+        },
+        // Position at a (fractional) tick, held at the ends; null before any update
+        positionAt(tick) {
+            if (samples.length === 0) return null;
+
+            const next = samples.findIndex(sample => sample.tick > tick);
+            if (next === -1) return samples[samples.length - 1];
+            if (next === 0) return samples[0];
+
+            const a = samples[next - 1];
+            const b = samples[next];
+            const alpha = (tick - a.tick) / (b.tick - a.tick);
+            return { x: a.x + (b.x - a.x) * alpha, y: a.y + (b.y - a.y) * alpha };
+        }
+    };
+}
@@ -0,0 +1,68 @@
+// Platform types for the tower generator. Behaviour lives in game.js
+// (updatePlatforms / checkCollisions); this module only describes each type
+// and decides which one to place at a given height.
+// All platforms are one-way: you jump through them from below and land on top.
+
+export const PLATFORM_TYPES = {
+    static: {
+        minHeight: 0,
+        weight: 0
+    },
+    // Slides back and forth on X
+    moving: {
+        minHeight: 15,
+        weight: 3,
+        color: 0xffaa00,
+        edgeColor: 0xffdd66,
+        amplitude: 1.8,
+        speed: 0.025 // Radians per tick
+    },
+    // Launches the player higher than a normal jump
+    bouncy: {
+        minHeight: 30,
+        weight: 2,
+        color: 0xff44cc,
+        edgeColor: 0xff99ee,
+        bounceForce: 0.48
+    },
+    // Breaks a short time after being landed on
+    crumbling: {
+        minHeight: 50,
+        weight: 3,
+        color: 0x996644,
+        edgeColor: 0xcc9966,
+        crumbleDelay: 35, // Ticks between landing and breaking
+        fallSpeed: 0.15
+    },
+    // Starts as a ghost and only becomes solid a while after it scrolls into view
+    delayed: {
+        minHeight: 80,
+        weight: 2,
+        color: 0x6677ff,
+        edgeColor: 0x99aaff,
+        triggerDistance: 6, // How far above the camera it starts materializing
+        solidDelay: 90 // Ticks from trigger until solid
+    }
+};
+
+// specialChance comes from the difficulty curve; new types unlock as you climb
+export function pickPlatformType(height, random, specialChance) {
+    if (random() >= specialChance) {
+        return 'static';
+    }
+
+    const available = Object.entries(PLATFORM_TYPES).filter(([, type]) => type.weight > 0 && height >= type.minHeight);
+    if (available.length === 0) {
+        return 'static';
+    }
+
+    const totalWeight = available.reduce((sum, [, type]) => sum + type.weight, 0);
+    let roll = random() * totalWeight;
+    for (const [name, type] of available) {
+        roll -= type.weight;
+        if (roll < 0) {
+            return name;
+        }
+    }
+    return available[available.length - 1][0];
+}
@@ -0,0 +1,75 @@
+import { requestJson } from './api.js';
+import { t } from './i18n.js';
+
+// Lightweight player identity: a random ID and secret kept in localStorage and
+// registered with /api/players. Whoever holds the secret owns the profile.
+
+const PROFILE_KEY = 'towerjump_profile';
+const LEGACY_NAME_KEY = 'towerjump_player_name';
+
+function randomHex(bytes) {
+    const values = crypto.getRandomValues(new Uint8Array(bytes));
+    return Array.from(values, v => v.toString(16).padStart(2, '0')).join('');
+}
+
+// Returns the stored profile, creating a new unregistered one on first visit
+export function loadProfile() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(PROFILE_KEY));
+        if (stored && stored.id && stored.secret) {
+            return stored;
+        }
+    } catch (error) {
+        console.error('Error reading profile:', error);
+    }
+
+    const id = crypto.randomUUID();
+    const profile = {
+        id,
+        secret: randomHex(32),
+        name: localStorage.getItem(LEGACY_NAME_KEY) || t('profile.defaultName', { id: id.substring(0, 4) }),
+        registered: false
+    };
+    saveProfile(profile);
+    return profile;
+}
+
+function saveProfile(profile) {
+    localStorage.setItem(PROFILE_KEY, JSON.stringify(profile));
+}
+
+// Registers the profile, or renames it when already registered.
+// Resolves to the public profile with stats.
+export async function registerProfile(profile, name = profile.name) {
+    const data = await requestJson('/api/players', {
+        method: 'POST',
+        body: { id: profile.id, secret: profile.secret, name }
+    });
+    profile.name = data.player.name;
+    profile.registered = true;
+    saveProfile(profile);
+    return data.player;
+}
+
+// The run token from /api/runs vouches for the run; each one counts once
+export async function recordRun(profile, { runToken, score, height }) {
+    const data = await requestJson('/api/players', {
+        method: 'PATCH',
+        body: { id: profile.id, secret: profile.secret, runToken, score, height }
+    });
+    return data.player;
+}
+
+export async function fetchProfile(id) {
+    const data = await requestJson(`/api/players?id=${encodeURIComponent(id)}`);
+    return data.player;
+}
+
+// Adds unlocked achievement IDs to the player's record
+export async function syncAchievements(profile, ids) {
+    const data = await requestJson('/api/players', {
+        method: 'PATCH',
+        body: { id: profile.id, secret: profile.secret, achievements: ids }
+    });
+    return data.player;
+}
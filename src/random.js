@@ -0,0 +1,46 @@
+// Seeded pseudo-random number generator used for tower layout.
+// The same seed always produces the same sequence, so a run can be reproduced.
+
+const SEED_ALPHABET = 'abcdefghijklmnopqrstuvwxyz0123456789';
+export const MAX_SEED_LENGTH = 32;
+
+// Hash an arbitrary string seed into a 32-bit integer (cyrb53, truncated)
+function hashSeed(seed) {
+    let h1 = 0xdeadbeef;
+    let h2 = 0x41c6ce57;
+    for (let i = 0; i < seed.length; i++) {
+        const ch = seed.charCodeAt(i);
+        h1 = Math.imul(h1 ^ ch, 2654435761);
+        h2 = Math.imul(h2 ^ ch, 1597334677);
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+    return (h1 ^ h2) >>> 0;
+}
+
+// Returns a function producing floats in [0, 1), like Math.random (mulberry32)
+export function createRandom(seed) {
+    let state = hashSeed(String(seed));
+    return function random() {
+        state = (state + 0x6d2b79f5) | 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Trim user input down to something safe to put in a URL and a score record
+export function normalizeSeed(seed) {
+    if (typeof seed !== 'string') return '';
+    return seed.trim().substring(0, MAX_SEED_LENGTH);
+}
+
+// Fresh short seed for runs where the player didn't pick one
+export function generateSeed(length = 8) {
+    let seed = '';
+    for (let i = 0; i < length; i++) {
+        seed += SEED_ALPHABET[Math.floor(Math.random() * SEED_ALPHABET.length)];
+    }
+    return seed;
+}
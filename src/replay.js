@@ -0,0 +1,108 @@
+// Input recording and replay files.
+// A run is fully described by its layout seed and difficulty plus the input
+// state of every simulation tick, so that is all a replay stores. Inputs are
+// packed into a bitmask per tick and run-length encoded: [bits, count, ...].
+
+import { isDifficulty } from './difficulty.js';
+
+export const REPLAY_VERSION = 5; // Bumped whenever the simulation changes, old replays would desync
+export const MAX_REPLAY_RUNS = 20000;
+
+const INPUT_LEFT = 1;
+const INPUT_RIGHT = 2;
+const INPUT_JUMP = 4;
+const INPUT_MASK = INPUT_LEFT | INPUT_RIGHT | INPUT_JUMP;
+
+export function encodeInput(input) {
+    return (input.left ? INPUT_LEFT : 0) |
+           (input.right ? INPUT_RIGHT : 0) |
+           (input.jump ? INPUT_JUMP : 0);
+}
+
+export function decodeInput(bits) {
+    return {
+        left: (bits & INPUT_LEFT) !== 0,
+        right: (bits & INPUT_RIGHT) !== 0,
+        jump: (bits & INPUT_JUMP) !== 0
+    };
+}
+
+export function createInputRecorder() {
+    const runs = [];
+    let ticks = 0;
+
+    return {
+        record(input) {
+            const bits = encodeInput(input);
+            const last = runs.length - 2;
+            if (last >= 0 && runs[last] === bits) {
+                runs[last + 1]++;
+            } else {
+                runs.push(bits, 1);
+            }
+            ticks++;
+        },
+        get ticks() {
+            return ticks;
+        },
+        get runs() {
+            return runs.slice();
+        }
+    };
+}
+
+// Expand run-length encoded inputs into one bitmask per tick
+export function expandInputs(runs) {
+    let total = 0;
+    for (let i = 1; i < runs.length; i += 2) total += runs[i];
+
+    const ticks = new Uint8Array(total);
+    let offset = 0;
+    for (let i = 0; i < runs.length; i += 2) {
+        ticks.fill(runs[i], offset, offset + runs[i + 1]);
+        offset += runs[i + 1];
+    }
+    return ticks;
+}
+
+export function createReplay({ seed, difficulty, recorder, score }) {
+    return {
+        version: REPLAY_VERSION,
+        seed,
+        difficulty,
+        score,
+        ticks: recorder.ticks,
+        inputs: recorder.runs,
+        recordedAt: new Date().toISOString()
+    };
+}
+
+// Validate untrusted replay data (imported file or API response)
+export function parseReplay(data) {
+    const replay = typeof data === 'string' ? JSON.parse(data) : data;
+
+    if (!replay || replay.version !== REPLAY_VERSION) {
+        throw new Error('Unsupported replay version');
+    }
+    if (typeof replay.seed !== 'string' || !replay.seed) {
+        throw new Error('Replay is missing its seed');
+    }
+    if (!isDifficulty(replay.difficulty)) {
+        throw new Error('Replay has an unknown difficulty');
+    }
+    if (!Array.isArray(replay.inputs) || replay.inputs.length % 2 !== 0 ||
+        replay.inputs.length > MAX_REPLAY_RUNS * 2) {
+        throw new Error('Replay inputs are malformed');
+    }
+
+    for (let i = 0; i < replay.inputs.length; i += 2) {
+        const bits = replay.inputs[i];
+        const count = replay.inputs[i + 1];
+        if (!Number.isInteger(bits) || (bits & ~INPUT_MASK) !== 0 ||
+            !Number.isInteger(count) || count < 1) {
+            throw new Error('Replay inputs are malformed');
+        }
+    }
+
+    return replay;
+}
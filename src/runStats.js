@@ -0,0 +1,70 @@
+// Statistics of one run, collected tick by tick for the game-over screen and
+// saved with the score. Heights for the chart are sampled every few ticks;
+// once MAX_HEIGHT_SAMPLES is reached every other sample is dropped and the
+// interval doubles, so any run fits the same size.
+// The score API checks the same bounds in api/scores.js.
+
+export const MAX_HEIGHT_SAMPLES = 240;
+
+const INITIAL_SAMPLE_INTERVAL = 15; // Ticks
+
+export function createStatsRecorder() {
+    let ticks = 0;
+    let jumps = 0;
+    let landings = 0;
+    let airTicks = 0; // Of the current flight
+    let longestAirtime = 0;
+    let highestPoint = 0;
+    let clearanceSum = 0;
+    let peakScrollSpeed = 0;
+    let interval = INITIAL_SAMPLE_INTERVAL;
+    let samples = [];
+
+    return {
+        // clearance is the height above the death line
+        recordTick({ height, clearance, scrollSpeed, airborne }) {
+            if (ticks % interval === 0) {
+                if (samples.length >= MAX_HEIGHT_SAMPLES) {
+                    samples = samples.filter((_, i) => i % 2 === 0);
+                    interval *= 2;
+                }
+                if (ticks % interval === 0) {
+                    samples.push(round(height, 1));
+                }
+            }
+
+            airTicks = airborne ? airTicks + 1 : 0;
+            longestAirtime = Math.max(longestAirtime, airTicks);
+            highestPoint = Math.max(highestPoint, height);
+            clearanceSum += clearance;
+            peakScrollSpeed = Math.max(peakScrollSpeed, scrollSpeed);
+            ticks++;
+        },
+        recordJump() {
+            jumps++;
+        },
+        // A landing ends the flight even when a bouncy platform launches straight on
+        recordLanding() {
+            landings++;
+            airTicks = 0;
+        },
+        // Tick counts and heights in world units, speed per tick
+        finish() {
+            return {
+                ticks,
+                jumps,
+                landings,
+                longestAirtime,
+                highestPoint: round(highestPoint, 1),
+                averageClearance: ticks > 0 ? round(clearanceSum / ticks, 1) : 0,
+                peakScrollSpeed: round(peakScrollSpeed, 4),
+                heights: { interval, samples: [...samples] }
+            };
+        }
+    };
+}
+
+function round(value, digits) {
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+}
@@ -0,0 +1,126 @@
+// Offline score queue. Scores that could not be posted are kept in IndexedDB
+// and retried with exponential backoff, and right away when the browser comes
+// back online. The sender decides what posting means; it should throw an error
+// with `rejected` set when the server refused the score for good; such scores
+// are dropped and handed to onReject so the player learns about it.
+
+const DB_NAME = 'towerjump';
+const DB_VERSION = 1;
+const STORE = 'scoreQueue';
+
+const RETRY_BASE_DELAY = 5 * 1000;
+const RETRY_MAX_DELAY = 10 * 60 * 1000;
+
+let sendEntry = null;
+let onChange = () => {};
+let onReject = () => {};
+let retryTimer = null;
+let flushing = false;
+
+function openDatabase() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Runs fn(store) in one transaction and resolves with its request's result
+async function withStore(mode, fn) {
+    const db = await openDatabase();
+    try {
+        return await new Promise((resolve, reject) => {
+            const transaction = db.transaction(STORE, mode);
+            const request = fn(transaction.objectStore(STORE));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    } finally {
+        db.close();
+    }
+}
+
+function getAll() {
+    return withStore('readonly', store => store.getAll());
+}
+
+function put(entry) {
+    return withStore('readwrite', store => store.put(entry));
+}
+
+function remove(id) {
+    return withStore('readwrite', store => store.delete(id));
+}
+
+// send(data) posts one queued score; onQueueChange(count) fires whenever the queue
+// size changes and onRejected(data, error) for every score the server refused
+export function initScoreQueue({ send, onQueueChange = () => {}, onRejected = () => {} }) {
+    sendEntry = send;
+    onChange = onQueueChange;
+    onReject = onRejected;
+    window.addEventListener('online', () => flushScoreQueue({ force: true }));
+    flushScoreQueue({ force: true });
+}
+
+export async function queueScore(data) {
+    await put({ data, attempts: 0, nextAttempt: Date.now() + RETRY_BASE_DELAY, queuedAt: new Date().toISOString() });
+    await notifyChange();
+    scheduleRetry();
+}
+
+export async function getQueuedScoreCount() {
+    return (await getAll()).length;
+}
+
+// Sends every entry that is due (or all of them with force) and schedules the next retry
+export async function flushScoreQueue({ force = false } = {}) {
+    if (flushing || !sendEntry) return;
+    flushing = true;
+
+    try {
+        const now = Date.now();
+        for (const entry of await getAll()) {
+            if (!force && entry.nextAttempt > now) continue;
+
+            try {
+                await sendEntry(entry.data);
+                await remove(entry.id);
+            } catch (error) {
+                if (error.rejected) {
+                    console.error('Queued score was rejected:', error);
+                    await remove(entry.id);
+                    onReject(entry.data, error);
+                } else {
+                    entry.attempts++;
+                    entry.nextAttempt = Date.now() + Math.min(RETRY_BASE_DELAY * 2 ** entry.attempts, RETRY_MAX_DELAY);
+                    await put(entry);
+                }
+            }
+        }
+        await notifyChange();
+    } catch (error) {
+        console.error('Error flushing score queue:', error);
+    } finally {
+        flushing = false;
+    }
+
+    scheduleRetry();
+}
+
+async function notifyChange() {
+    onChange(await getQueuedScoreCount());
+}
+
+async function scheduleRetry() {
+    clearTimeout(retryTimer);
+    retryTimer = null;
+
+    const entries = await getAll().catch(() => []);
+    if (entries.length === 0) return;
+
+    const next = Math.min(...entries.map(entry => entry.nextAttempt));
+    retryTimer = setTimeout(() => flushScoreQueue(), Math.max(next - Date.now(), 0));
+}
@@ -0,0 +1,83 @@
+import { defineConfig, loadEnv } from 'vite';
+import { attachRoomServer } from './api/_lib/rooms.js';
+
+// Serves the serverless handlers in api/ from the dev server, so the game and
+// its API run together offline with `npm run dev`
+function apiDevServer() {
+    return {
+        name: 'api-dev-server',
+        apply: 'serve',
+        configureServer(server) {
+            server.middlewares.use('/api', async (req, res, next) => {
+                const url = new URL(req.url, 'http://localhost');
+                const name = url.pathname.replace(/^\/+|\/+$/g, '');
+                if (!/^[a-z-]+$/.test(name)) {
+                    return next();
+                }
+
+                let handler;
+                try {
+                    handler = (await server.ssrLoadModule(`/api/${name}.js`)).default;
+                } catch (error) {
+                    return next();
+                }
+
+                // Minimal version of the request/response helpers Vercel provides
+                req.query = Object.fromEntries(url.searchParams);
+                req.body = await readJsonBody(req);
+                res.status = (code) => {
+                    res.statusCode = code;
+                    return res;
+                };
+                res.json = (data) => {
+                    res.setHeader('Content-Type', 'application/json');
+                    res.end(JSON.stringify(data));
+                    return res;
+                };
+
+                try {
+                    await handler(req, res);
+                } catch (error) {
+                    next(error);
+                }
+            });
+        }
+    };
+}
+
+// WebSocket rooms for online races (api/_lib/rooms.js) on the dev and preview
+// servers, so several tabs can race each other locally
+function roomServer() {
+    return {
+        name: 'room-server',
+        configureServer(server) {
+            if (server.httpServer) attachRoomServer(server.httpServer);
+        },
+        configurePreviewServer(server) {
+            attachRoomServer(server.httpServer);
+        }
+    };
+}
+
+async function readJsonBody(req) {
+    let raw = '';
+    for await (const chunk of req) {
+        raw += chunk;
+    }
+    try {
+        return raw ? JSON.parse(raw) : {};
+    } catch {
+        return {};
+    }
+}
+
+export default defineConfig(({ mode }) => {
+    // Expose .env / .env.local to the API handlers, with offline-friendly defaults
+    Object.assign(process.env, loadEnv(mode, process.cwd(), ''));
+    process.env.SCORES_STORAGE ??= 'file';
+    process.env.RUN_TOKEN_SECRET ??= 'dev-only-secret';
+
+    return {
+        plugins: [apiDevServer(), roomServer()]
+    };
+});